@@ -0,0 +1,35 @@
+const { verificarTokenAcceso } = require("../utils/sesiones");
+
+// Middleware para verificar el token y dejar el usuario en req.user
+const autenticar = async (req, res, next) => {
+  const token = req.headers.authorization?.split(" ")[1]; // Extract the token from the header
+  if (!token) {
+    return res.status(401).json({ message: "No token provided" });
+  }
+
+  try {
+    // Verify the token and attach the user to the request object
+    req.user = await verificarTokenAcceso(token);
+  } catch (error) {
+    console.error("Error verifying token:", error);
+  }
+
+  if (!req.user) {
+    return res.status(401).json({ message: "Invalid token" });
+  }
+  if (req.user.estado !== "aprobado") {
+    return res.status(403).json({ message: "Unauthorized" });
+  }
+  next();
+};
+
+// Middleware para verificar si el usuario es un "administrador"; va
+// después de autenticar
+const soloAdministrador = (req, res, next) => {
+  if (req.user?.role !== "administrador") {
+    return res.status(403).json({ message: "Unauthorized" });
+  }
+  next();
+};
+
+module.exports = { autenticar, soloAdministrador };
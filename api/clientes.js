@@ -0,0 +1,114 @@
+const express = require("express");
+const multer = require("multer");
+const Cliente = require("../models/Cliente");
+const { autenticar } = require("./auth");
+const {
+  FORMATOS_EXPORTACION,
+  leerPlanilla,
+  crearEscritor,
+} = require("../utils/planillas");
+const {
+  CAMPOS_CLIENTE,
+  importarClientes,
+} = require("../utils/importacionClientes");
+
+const router = express.Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024, files: 1 },
+}).single("archivo");
+
+// Importar la cartera de clientes de un vendedor desde CSV o XLSX. Campos
+// del formulario: archivo y mapeo (JSON campo -> encabezado, opcional).
+// Los clientes quedan asignados a quien los importa
+router.post(
+  "/clientes/importar",
+  autenticar,
+  (req, res, next) =>
+    upload(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        return res.status(400).json({ message: error.message });
+      }
+      next(error);
+    }),
+  async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({ message: "Debes adjuntar un archivo" });
+    }
+
+    let filas;
+    let mapeo;
+    try {
+      mapeo = req.body.mapeo ? JSON.parse(req.body.mapeo) : undefined;
+      filas = await leerPlanilla(req.file.buffer, req.file.originalname);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    try {
+      const reporte = await importarClientes(filas, {
+        vendedor: req.user.id,
+        mapeo,
+      });
+      res.status(200).json(reporte);
+    } catch (error) {
+      console.error("Error importando clientes:", error);
+      res.status(500).json({ message: "Error al importar clientes" });
+    }
+  }
+);
+
+// Exportar la cartera propia (formato=csv|xlsx|jsonl). Un administrador
+// puede pedir la de otro vendedor con ?vendedor=
+router.get("/clientes/exportar", autenticar, async (req, res) => {
+  const formato = req.query.formato || "csv";
+  if (!FORMATOS_EXPORTACION[formato]) {
+    return res.status(400).json({ message: "Formato no válido" });
+  }
+
+  const vendedor =
+    req.user.role === "administrador" && req.query.vendedor
+      ? req.query.vendedor
+      : req.user.id;
+  // Un id mal formado fallaría recién con la descarga ya empezada
+  if (typeof vendedor !== "string" || !/^[0-9a-f]{24}$/i.test(vendedor)) {
+    return res.status(400).json({ message: "Vendedor no válido" });
+  }
+
+  const { contentType, extension } = FORMATOS_EXPORTACION[formato];
+  res.setHeader("Content-Type", contentType);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename=clientes.${extension}`
+  );
+
+  const escritor = crearEscritor(formato, res, "Clientes");
+  const cursor = Cliente.find({ vendedor })
+    .sort({ nombre: 1, _id: 1 })
+    .select(CAMPOS_CLIENTE.join(" "))
+    .lean()
+    .cursor();
+
+  try {
+    await escritor.iniciar(CAMPOS_CLIENTE);
+    for await (const cliente of cursor) {
+      if (res.destroyed) {
+        throw new Error("Descarga interrumpida por el cliente");
+      }
+      const { _id, ...datos } = cliente;
+      await escritor.fila(datos);
+    }
+    await escritor.terminar();
+  } catch (error) {
+    console.error("Error exportando clientes:", error);
+    await cursor.close().catch(() => {});
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({ message: "Error al exportar clientes" });
+    }
+  }
+});
+
+module.exports = router;
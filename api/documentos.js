@@ -0,0 +1,152 @@
+const express = require("express");
+const multer = require("multer");
+const Documento = require("../models/Documento");
+const Pedido = require("../models/Pedido");
+const Usuario = require("../models/Usuario");
+const { autenticar } = require("./auth");
+const { verificarTokenRegistro } = require("../utils/sesiones");
+const { obtenerAlmacenamiento } = require("../utils/almacenamiento");
+const {
+  TIPOS_DOCUMENTO,
+  TAMANO_MAXIMO,
+  puedeVerDocumento,
+  subirDocumento,
+} = require("../utils/documentos");
+
+const router = express.Router();
+
+// El archivo queda en memoria hasta validarlo y pasarlo al almacenamiento
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: TAMANO_MAXIMO, files: 1 },
+}).single("archivo");
+
+const recibirArchivo = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const status = error.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+      return res.status(status).json({ message: error.message });
+    }
+    if (error) {
+      return next(error);
+    }
+    next();
+  });
+};
+
+const responderDocumento = (res, documento) =>
+  res.status(201).json({
+    id: documento._id,
+    tipo: documento.tipo,
+    nombre: documento.nombre,
+    url: `/api/documentos/${documento._id}`,
+  });
+
+// Subir un documento. Campos: archivo, tipo y, según el tipo, usuario
+// (carnet; por defecto el propio) o pedido (comprobante, foto de entrega)
+router.post("/documentos", autenticar, recibirArchivo, async (req, res) => {
+  const { tipo } = req.body;
+  const definicion = TIPOS_DOCUMENTO[tipo];
+  if (!definicion) {
+    return res.status(400).json({ message: "Tipo de documento no válido" });
+  }
+
+  const esAdministrador = req.user.role === "administrador";
+  let usuarioId;
+  let pedidoId;
+
+  try {
+    if (definicion.asociado === "usuario") {
+      usuarioId = req.body.usuario || req.user.id;
+      if (usuarioId !== req.user.id && !esAdministrador) {
+        return res.status(403).json({ message: "Unauthorized" });
+      }
+    } else {
+      const pedido = await Pedido.findById(req.body.pedido).select("vendedor");
+      if (!pedido) {
+        return res.status(404).json({ message: "Pedido no encontrado" });
+      }
+      if (pedido.vendedor.toString() !== req.user.id && !esAdministrador) {
+        return res.status(403).json({ message: "Unauthorized" });
+      }
+      pedidoId = pedido._id;
+    }
+
+    const documento = await subirDocumento({
+      tipo,
+      archivo: req.file,
+      usuarioId,
+      pedidoId,
+      subidoPor: req.user.id,
+    });
+    responderDocumento(res, documento);
+  } catch (error) {
+    console.error("Error subiendo documento:", error);
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Durante el registro la cuenta aún no puede iniciar sesión: el carnet se
+// sube con el token de registro que entrega nuevoUsuario, una sola vez por
+// tipo y solo mientras la cuenta esté pendiente
+router.post("/documentos/registro", recibirArchivo, async (req, res) => {
+  const { tipo } = req.body;
+  if (TIPOS_DOCUMENTO[tipo]?.asociado !== "usuario") {
+    return res.status(400).json({ message: "Tipo de documento no válido" });
+  }
+
+  const token = req.headers.authorization?.split(" ")[1];
+  const usuarioId = token && verificarTokenRegistro(token);
+  if (!usuarioId) {
+    return res.status(401).json({ message: "Invalid token" });
+  }
+
+  try {
+    const usuario = await Usuario.findById(usuarioId);
+    if (!usuario || usuario.estado !== "pendiente" || usuario[tipo]) {
+      return res.status(403).json({ message: "Unauthorized" });
+    }
+
+    const documento = await subirDocumento({
+      tipo,
+      archivo: req.file,
+      usuarioId: usuario._id,
+      subidoPor: usuario._id,
+    });
+    responderDocumento(res, documento);
+  } catch (error) {
+    console.error("Error subiendo documento de registro:", error);
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Descargar un documento
+router.get("/documentos/:id", autenticar, async (req, res) => {
+  try {
+    const documento = await Documento.findById(req.params.id);
+    if (!documento) {
+      return res.status(404).json({ message: "Documento no encontrado" });
+    }
+    if (!(await puedeVerDocumento(documento, req.user))) {
+      return res.status(403).json({ message: "Unauthorized" });
+    }
+
+    const archivo = await obtenerAlmacenamiento().obtener(documento.clave);
+    res.setHeader("Content-Type", documento.mimetype);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename*=UTF-8''${encodeURIComponent(documento.nombre)}`
+    );
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    archivo.on("error", (error) => {
+      console.error("Error leyendo documento:", error);
+      res.destroy(error);
+    });
+    archivo.pipe(res);
+  } catch (error) {
+    console.error("Error descargando documento:", error);
+    res.status(500).json({ message: "Error al descargar el documento" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,123 @@
+const express = require("express");
+const PDFDocument = require("pdfkit");
+const { json2csv } = require("json-2-csv");
+const Liquidacion = require("../models/Liquidacion");
+const { autenticar } = require("./auth");
+const { formatearFecha } = require("../utils/fechas");
+
+const router = express.Router();
+
+const formatearMonto = (monto) =>
+  `$${Math.round(monto || 0).toLocaleString("es-CL")}`;
+
+const enviarCSV = (res, liquidacion, nombreArchivo) => {
+  const filas = liquidacion.pedidos.map((item) => ({
+    numeropedido: item.numeropedido,
+    subtotal: item.subtotal,
+    comision: item.comision,
+  }));
+  filas.push({
+    numeropedido: "TOTAL",
+    subtotal: "",
+    comision: liquidacion.total,
+  });
+
+  res.setHeader("Content-Type", "text/csv");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename=${nombreArchivo}.csv`
+  );
+  res.status(200).send(json2csv(filas));
+};
+
+const enviarPDF = (res, liquidacion, nombreArchivo) => {
+  const { vendedor } = liquidacion;
+  const doc = new PDFDocument({ size: "A4", margin: 50 });
+
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename=${nombreArchivo}.pdf`
+  );
+  doc.pipe(res);
+
+  doc.fontSize(16).text("Liquidación de comisiones", { align: "center" });
+  doc.moveDown();
+  doc
+    .fontSize(10)
+    .text(`Vendedor: ${vendedor?.nombre || "N/A"}`)
+    .text(`RUT: ${vendedor?.rut || "N/A"}`)
+    .text(
+      `Período: ${formatearFecha(liquidacion.desde)} al ${formatearFecha(
+        liquidacion.hasta
+      )}`
+    )
+    .text(`Estado: ${liquidacion.estado}`);
+  if (liquidacion.fechaAprobacion) {
+    doc.text(`Aprobada el: ${formatearFecha(liquidacion.fechaAprobacion)}`);
+  }
+  if (vendedor?.cuentabanconumero) {
+    doc.text(
+      `Cuenta: ${vendedor.cuentabanconombre || ""} ${
+        vendedor.cuentabancotipocuenta || ""
+      } ${vendedor.cuentabanconumero}`
+    );
+  }
+  doc.moveDown();
+
+  // Tabla de pedidos
+  const columnas = [50, 250, 400];
+  const fila = (valores, opciones = {}) => {
+    const y = doc.y;
+    valores.forEach((valor, i) =>
+      doc.text(valor, columnas[i], y, { width: 150, ...opciones })
+    );
+    doc.moveDown(0.5);
+  };
+
+  doc.font("Helvetica-Bold");
+  fila(["Pedido", "Subtotal", "Comisión"]);
+  doc.font("Helvetica");
+  liquidacion.pedidos.forEach((item) =>
+    fila([
+      item.numeropedido || String(item.pedido),
+      formatearMonto(item.subtotal),
+      formatearMonto(item.comision),
+    ])
+  );
+  doc.moveDown();
+  doc.font("Helvetica-Bold");
+  fila(["Total", "", formatearMonto(liquidacion.total)]);
+
+  doc.end();
+};
+
+// Estado de cuenta de una liquidación en CSV (por defecto) o PDF
+router.get("/liquidaciones/:id/estado-cuenta", autenticar, async (req, res) => {
+  try {
+    const liquidacion = await Liquidacion.findById(req.params.id).populate(
+      "vendedor",
+      "nombre rut cuentabanconumero cuentabanconombre cuentabancotipocuenta"
+    );
+    if (!liquidacion) {
+      return res.status(404).json({ message: "Liquidación no encontrada" });
+    }
+
+    // Solo el vendedor de la liquidación o un administrador
+    const esVendedor = liquidacion.vendedor?._id.toString() === req.user.id;
+    if (!esVendedor && req.user.role !== "administrador") {
+      return res.status(403).json({ message: "Unauthorized" });
+    }
+
+    const nombreArchivo = `liquidacion-${liquidacion._id}`;
+    if (req.query.formato === "pdf") {
+      return enviarPDF(res, liquidacion, nombreArchivo);
+    }
+    return enviarCSV(res, liquidacion, nombreArchivo);
+  } catch (error) {
+    console.error("Error generando el estado de cuenta:", error);
+    res.status(500).json({ message: "Error al generar el estado de cuenta" });
+  }
+});
+
+module.exports = router;
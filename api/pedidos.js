@@ -0,0 +1,224 @@
+const express = require("express");
+const Pedido = require("../models/Pedido");
+const Producto = require("../models/Producto");
+const { autenticar, soloAdministrador } = require("./auth");
+const {
+  construirFiltroPedidos,
+  construirOrdenPedidos,
+  filtroDesdeQuery,
+} = require("../utils/filtroPedidos");
+const { FORMATOS_EXPORTACION, crearEscritor } = require("../utils/planillas");
+const { formatearFecha } = require("../utils/fechas");
+
+const router = express.Router();
+
+const TAMANO_LOTE = 200;
+
+const COLUMNAS_PEDIDO = [
+  "numeropedido",
+  "creado",
+  "estado",
+  "cliente",
+  "vendedor",
+  "proveedor",
+  "productos",
+  "subtotal",
+  "envio",
+  "total",
+  "comisionPagada",
+  "notas",
+  "motivoCancelacion",
+  "fechaCancelacion",
+];
+
+const COLUMNAS_LINEA = [
+  "numeropedido",
+  "creado",
+  "estado",
+  "cliente",
+  "vendedor",
+  "proveedor",
+  "sku",
+  "producto",
+  "cantidad",
+  "precio",
+  "subtotalLinea",
+];
+
+const datosPedido = (pedido) => ({
+  numeropedido: pedido.numeropedido,
+  creado: formatearFecha(pedido.creado),
+  estado: pedido.estado,
+  cliente: pedido.cliente?.nombre || "N/A",
+  vendedor: pedido.vendedor?.nombre || "N/A",
+  proveedor: pedido.proveedor?.nombre || "N/A",
+});
+
+// Filas de un pedido: una por pedido o una por línea de producto
+function filasPedido(pedido, porLinea) {
+  if (porLinea) {
+    return pedido.pedido.map((linea) => ({
+      ...datosPedido(pedido),
+      sku: linea.sku,
+      producto: linea.nombre || "",
+      cantidad: linea.cantidad,
+      precio: linea.precio ?? "",
+      subtotalLinea: linea.precio != null ? linea.precio * linea.cantidad : "",
+    }));
+  }
+
+  return [
+    {
+      ...datosPedido(pedido),
+      productos: pedido.pedido
+        .map((linea) => `${linea.sku} (x${linea.cantidad})`)
+        .join(", "),
+      subtotal: pedido.subtotal,
+      envio: pedido.envio,
+      total: pedido.total,
+      comisionPagada: pedido.comisionPagada,
+      notas: (pedido.notas || []).join(", "),
+      motivoCancelacion: pedido.motivoCancelacion || "",
+      fechaCancelacion: formatearFecha(pedido.fechaCancelacion),
+    },
+  ];
+}
+
+// Las líneas antiguas no guardan SKU ni nombre: se buscan todos los
+// productos del lote en una sola consulta
+async function completarLineas(pedidos) {
+  const faltantes = new Set();
+  for (const pedido of pedidos) {
+    for (const linea of pedido.pedido) {
+      if (!linea.sku) faltantes.add(linea.id);
+    }
+  }
+  if (!faltantes.size) {
+    return;
+  }
+
+  const productos = await Producto.find({ _id: { $in: [...faltantes] } })
+    .select("sku nombre precio")
+    .lean();
+  const porId = new Map(productos.map((p) => [p._id.toString(), p]));
+
+  for (const pedido of pedidos) {
+    pedido.pedido = pedido.pedido.map((linea) => {
+      if (linea.sku) return linea;
+      const producto = porId.get(String(linea.id));
+      return {
+        ...linea,
+        sku: producto?.sku || "N/A",
+        nombre: producto?.nombre,
+        precio: linea.precio ?? producto?.precio,
+      };
+    });
+  }
+}
+
+// Exportación de pedidos en streaming. Parámetros:
+//   formato=csv|xlsx|jsonl, detalle=pedido|linea y los de PedidoFiltro
+//   (desde, hasta, estados, vendedor, proveedor, cliente, ..., orden)
+const exportarPedidos =
+  ({ estadosPorDefecto, estados, nombre = "pedidos" } = {}) =>
+  async (req, res) => {
+    const formato = req.query.formato || "csv";
+    const porLinea = req.query.detalle === "linea";
+    if (!FORMATOS_EXPORTACION[formato]) {
+      return res.status(400).json({ message: "Formato no válido" });
+    }
+
+    let query;
+    let orden;
+    try {
+      const parametros = filtroDesdeQuery(req.query);
+      const filtro = {
+        ...parametros.filtro,
+        estados: estados || parametros.filtro.estados || estadosPorDefecto,
+      };
+      query = construirFiltroPedidos(filtro, req.user);
+      orden = construirOrdenPedidos(parametros.orden);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const { contentType, extension } = FORMATOS_EXPORTACION[formato];
+    res.setHeader("Content-Type", contentType);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename=${nombre}.${extension}`
+    );
+
+    const escritor = crearEscritor(formato, res, "Pedidos");
+    const cursor = Pedido.find(query)
+      .sort({ [orden.campo]: orden.direccion, _id: orden.direccion })
+      .populate("cliente", "nombre")
+      .populate("vendedor", "nombre")
+      .populate("proveedor", "nombre")
+      .lean()
+      .cursor({ batchSize: TAMANO_LOTE });
+
+    let total = 0;
+    const escribirLote = async (lote) => {
+      if (res.destroyed) {
+        throw new Error("Descarga interrumpida por el cliente");
+      }
+      await completarLineas(lote);
+      for (const pedido of lote) {
+        for (const fila of filasPedido(pedido, porLinea)) {
+          await escritor.fila(fila);
+        }
+      }
+      total += lote.length;
+    };
+
+    try {
+      await escritor.iniciar(porLinea ? COLUMNAS_LINEA : COLUMNAS_PEDIDO);
+
+      let lote = [];
+      for await (const pedido of cursor) {
+        lote.push(pedido);
+        if (lote.length >= TAMANO_LOTE) {
+          await escribirLote(lote);
+          lote = [];
+        }
+      }
+      await escribirLote(lote);
+      await escritor.terminar();
+      console.log(`Exportación de ${nombre}: ${total} pedidos`);
+    } catch (error) {
+      console.error("Error exportando pedidos:", error);
+      await cursor.close().catch(() => {});
+      // Con la descarga ya empezada solo queda cortar la respuesta
+      if (res.headersSent) {
+        res.destroy(error);
+      } else {
+        res.status(500).json({ message: "Failed to generate export" });
+      }
+    }
+  };
+
+router.get(
+  "/pedidos/exportar",
+  autenticar,
+  soloAdministrador,
+  exportarPedidos()
+);
+
+// Rutas anteriores: CSV de pedidos vigentes y de cancelados
+router.get(
+  "/download-pedidos",
+  autenticar,
+  soloAdministrador,
+  exportarPedidos({
+    estadosPorDefecto: ["Pendiente", "Aprobado", "Observado", "Entregado"],
+  })
+);
+router.get(
+  "/download-pedidos-cancelados",
+  autenticar,
+  soloAdministrador,
+  exportarPedidos({ estados: ["Cancelado"], nombre: "pedidos-cancelados" })
+);
+
+module.exports = router;
@@ -0,0 +1,64 @@
+const express = require("express");
+const multer = require("multer");
+const { autenticar, soloAdministrador } = require("./auth");
+const { leerPlanilla } = require("../utils/planillas");
+const {
+  analizarImportacion,
+  aplicarImportacion,
+} = require("../utils/importacionProductos");
+
+const router = express.Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024, files: 1 },
+}).single("archivo");
+
+// Importar una lista de precios en CSV o XLSX. Campos del formulario:
+//   archivo, mapeo (JSON campo -> encabezado), skuproveedor (si la lista es
+//   de un solo proveedor y no trae esa columna) y aplicar=true para guardar.
+// Sin aplicar solo devuelve el reporte de lo que cambiaría.
+router.post(
+  "/productos/importar",
+  autenticar,
+  soloAdministrador,
+  (req, res, next) =>
+    upload(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        return res.status(400).json({ message: error.message });
+      }
+      next(error);
+    }),
+  async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({ message: "Debes adjuntar un archivo" });
+    }
+
+    let filas;
+    let mapeo;
+    try {
+      mapeo = req.body.mapeo ? JSON.parse(req.body.mapeo) : undefined;
+      filas = await leerPlanilla(req.file.buffer, req.file.originalname);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const opciones = { mapeo, skuproveedor: req.body.skuproveedor };
+    const aplicar = req.body.aplicar === "true";
+
+    try {
+      const reporte = aplicar
+        ? await aplicarImportacion(filas, { ...opciones, usuario: req.user.id })
+        : (await analizarImportacion(filas, opciones)).reporte;
+
+      res
+        .status(200)
+        .json({ aplicado: aplicar, filas: filas.length, ...reporte });
+    } catch (error) {
+      console.error("Error importando productos:", error);
+      res.status(500).json({ message: "Error al importar productos" });
+    }
+  }
+);
+
+module.exports = router;
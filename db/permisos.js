@@ -0,0 +1,132 @@
+const { PUBLICO } = require("../utils/autorizacion");
+
+const ADMIN = ["administrador"];
+const TODOS = ["vendedor", "administrador"];
+
+// Roles que pueden ejecutar cada operación. Las reglas por registro (un
+// vendedor solo ve sus clientes, etc.) siguen en cada resolver.
+const permisos = {
+  Query: {
+    // Usuarios
+    obtenerUsuario: TODOS,
+    obtenerUsuariosConexion: ADMIN,
+    obtenerUsuariosPorRol: ADMIN,
+    totalVendedores: ADMIN,
+    obtenerVendedor: ADMIN,
+    obtenerUsuariosPorEstado: ADMIN,
+    obtenerIntentosLogin: ADMIN,
+
+    // Productos
+    obtenerProductosConexion: TODOS,
+    obtenerProductos: TODOS,
+    obtenerProducto: TODOS,
+    obtenerProductosProveedor: TODOS,
+    buscarProducto: TODOS,
+    buscarProductos: TODOS,
+
+    // Clientes
+    obtenerClientesConexion: TODOS,
+    obtenerClientes: TODOS,
+    obtenerClientesVendedorTodos: TODOS,
+    obtenerClientesVendedor: TODOS,
+    totalClientesVendedor: TODOS,
+    totalClientesVendedorTodos: TODOS,
+    obtenerCliente: TODOS,
+    obtenerClienteAdmin: ADMIN,
+
+    // Pedidos
+    obtenerPedidosConexion: TODOS,
+    obtenerPedidos: ADMIN,
+    obtenerPedidosVendedor: TODOS,
+    obtenerPedido: TODOS,
+    obtenerPedidosEstado: TODOS,
+    obtenerPedidosProveedor: TODOS,
+    obtenerPedidosVendedorPag: TODOS,
+    totalPedidosVendedor: TODOS,
+    obtenerPedidosEntregados: TODOS,
+
+    // Proveedor
+    obtenerProveedoresConexion: TODOS,
+    obtenerProveedores: TODOS,
+    obtenerProveedor: TODOS,
+
+    // Envío
+    obtenerCostoEnvio: TODOS,
+
+    // Regiones y comunas (también en el formulario de registro)
+    obtenerRegiones: PUBLICO,
+    obtenerComunas: PUBLICO,
+
+    // Reportes
+    reporteVentas: ADMIN,
+
+    // Comisiones
+    resumenComisiones: TODOS,
+
+    // Liquidaciones
+    obtenerLiquidaciones: TODOS,
+    obtenerLiquidacion: TODOS,
+
+    // Inventario
+    obtenerKardex: ADMIN,
+    existenciaEnFecha: ADMIN,
+  },
+  Mutation: {
+    // Usuarios
+    nuevoUsuario: PUBLICO,
+    actualizarUsuario: TODOS,
+    autenticarUsuario: PUBLICO,
+    refrescarToken: PUBLICO,
+    cerrarSesion: PUBLICO,
+    cerrarTodasLasSesiones: TODOS,
+    desbloquearUsuario: ADMIN,
+    cambiarEstadoUsuario: ADMIN,
+    eliminarDocumento: TODOS,
+    cambiarPassword: TODOS,
+    solicitarResetPassword: PUBLICO,
+    resetPassword: PUBLICO,
+
+    // Productos
+    nuevoProducto: ADMIN,
+    actualizarProducto: ADMIN,
+    eliminarProducto: ADMIN,
+    insertProducts: ADMIN,
+    upsertProducts: ADMIN,
+
+    // Inventario
+    ajustarInventario: ADMIN,
+
+    // Clientes
+    nuevoCliente: TODOS,
+    actualizarCliente: TODOS,
+    eliminarCliente: TODOS,
+
+    // Pedidos
+    nuevoPedido: TODOS,
+    actualizarPedido: ADMIN,
+    eliminarPedido: TODOS,
+    cancelarPedido: TODOS,
+
+    // Proveedor
+    nuevoProveedor: ADMIN,
+    actualizarProveedor: ADMIN,
+    eliminarProveedor: ADMIN,
+    cambiarEstadoProveedor: ADMIN,
+
+    // Costo envio
+    nuevoCostoEnvio: ADMIN,
+    actualizarCostoEnvio: ADMIN,
+    eliminarCostoEnvio: ADMIN,
+
+    // Comisiones
+    marcarComisionPagada: ADMIN,
+    agregarComisionHistory: ADMIN,
+
+    // Liquidaciones
+    crearLiquidacion: ADMIN,
+    aprobarLiquidacion: ADMIN,
+    anularLiquidacion: ADMIN,
+  },
+};
+
+module.exports = permisos;
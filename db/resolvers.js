@@ -6,18 +6,95 @@ const Pedido = require("../models/Pedido");
 const Proveedor = require("../models/Proveedor");
 const CostoEnvio = require("../models/CostoEnvio");
 const bcryptjs = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 const { extendResolversFromInterfaces } = require("@graphql-tools/schema");
 const calculateDeliveryCost = require("../utils/calcularCostoEnvio");
+const {
+  ErrorInventario,
+  descontarExistencia,
+  devolverExistencia,
+  devolverStockPedido,
+  registrarExistenciaInicial,
+  fijarExistencia,
+  obtenerKardex,
+  existenciaEnFecha,
+} = require("../utils/inventario");
+const { parsearFecha, parsearFechaHasta } = require("../utils/fechas");
+const { COLACION_SIN_MAYUSCULAS } = require("../utils/texto");
+const { aplicarPermisos } = require("../utils/autorizacion");
+const permisos = require("./permisos");
+const {
+  MENSAJES_ESTADO_USUARIO,
+  validarCambioEstadoUsuario,
+} = require("../utils/estadoUsuario");
+const { enviarCorreo } = require("../utils/email");
+const {
+  CAMPOS_PRIVADOS,
+  PROYECCION_PRIVADA,
+  puedeVerPrivado,
+  proyeccionUsuario,
+} = require("../utils/usuarios");
+const {
+  iniciarSesion,
+  crearTokenRegistro,
+  refrescarSesion,
+  cerrarSesion,
+  cerrarTodasLasSesiones,
+  invalidarTokensAcceso,
+} = require("../utils/sesiones");
+const {
+  hashearPassword,
+  validarPasswordNuevo,
+  solicitarResetPassword,
+  resetPassword,
+} = require("../utils/password");
+const { verificarCredenciales, desbloquearUsuario } = require("../utils/login");
+const IntentoLogin = require("../models/IntentoLogin");
+const reporteVentas = require("../utils/reporteVentas");
+const buscarProductos = require("../utils/busquedaProductos");
+const {
+  registrarPagoComision,
+  resumenComisiones,
+} = require("../utils/comisiones");
+const Liquidacion = require("../models/Liquidacion");
+const Documento = require("../models/Documento");
+const { LIMITE_MAXIMO, paginar } = require("../utils/paginacion");
+const {
+  construirFiltroPedidos,
+  construirOrdenPedidos,
+} = require("../utils/filtroPedidos");
+const {
+  urlDocumento,
+  puedeVerDocumento,
+  eliminarDocumento,
+} = require("../utils/documentos");
+const {
+  crearLiquidacion,
+  aprobarLiquidacion,
+  anularLiquidacion,
+} = require("../utils/liquidaciones");
 require("dotenv").config({ path: "variables.env" });
+const { validarRUT, formatearRUT } = require("../utils/rut");
+const { REGIONES, obtenerComunas } = require("../utils/territorio");
 const { ObjectId } = require("mongodb"); // Importar ObjectId desde mongodb
 
-const crearToken = (usuario, secreta, expiresIn) => {
-  console.log("usuario:", usuario);
-  const { id, role } = usuario;
-
-  return jwt.sign({ id, role }, secreta, { expiresIn: "1h" });
-};
+// Línea de pedido con los datos del producto congelados al venderlo
+const crearLineaPedido = (producto, cantidad) => ({
+  id: producto._id.toString(),
+  cantidad,
+  precio: producto.precio,
+  costo: producto.costo,
+  nombre: producto.nombre,
+  sku: producto.sku,
+});
+
+// Pedidos anteriores al snapshot tienen líneas sin precio guardado
+const tienePrecio = (linea) =>
+  linea.precio !== undefined && linea.precio !== null;
+
+const sumarLineasConPrecio = (lineas) =>
+  lineas
+    .filter(tienePrecio)
+    .reduce((suma, linea) => suma + linea.precio * linea.cantidad, 0);
 
 // Resolvers
 const resolvers = {
@@ -32,7 +109,9 @@ const resolvers = {
         throw new Error("Usuario no autenticado");
       }
 
-      const usuario = await Usuario.findById(usuarioId);
+      const usuario = await Usuario.findById(usuarioId).select(
+        PROYECCION_PRIVADA
+      );
 
       if (!usuario) {
         throw new Error("Usuario no encontrado");
@@ -40,16 +119,46 @@ const resolvers = {
 
       return usuario;
     },
+    obtenerUsuariosConexion: async (_, { first, after, role, estado }) => {
+      const query = {};
+      if (role) query.role = role;
+      if (estado) query.estado = estado;
+
+      return await paginar(
+        Usuario,
+        query,
+        { first, after },
+        { preparar: (consulta) => consulta.select(PROYECCION_PRIVADA) }
+      );
+    },
     obtenerUsuariosPorRol: async (_, { role, limit, offset }) => {
-      const usuarios = await Usuario.find({ role });
+      const usuarios = await Usuario.find({ role })
+        .sort({ creado: -1, _id: -1 })
+        .skip(offset || 0)
+        .limit(Math.min(limit || 10, LIMITE_MAXIMO))
+        .select(PROYECCION_PRIVADA);
       return usuarios;
     },
     totalVendedores: async (_, { role }) => {
       return await Usuario.countDocuments({ role });
     },
+    obtenerUsuariosPorEstado: async (_, { estado }) => {
+      return await Usuario.find({ estado })
+        .sort({ creado: 1 })
+        .select(PROYECCION_PRIVADA);
+    },
+    obtenerIntentosLogin: async (_, { email, ip, limit }) => {
+      const query = {};
+      if (email) query.email = email.toLowerCase();
+      if (ip) query.ip = ip;
+
+      return await IntentoLogin.find(query)
+        .sort({ fecha: -1 })
+        .limit(Math.min(limit || 50, 500));
+    },
     obtenerVendedor: async (_, { id }) => {
       // Revisar si el cliente existe o no
-      const usuario = await Usuario.findById(id);
+      const usuario = await Usuario.findById(id).select(PROYECCION_PRIVADA);
 
       if (!usuario) {
         throw new Error("Usuario no encontrado");
@@ -57,9 +166,20 @@ const resolvers = {
 
       return usuario;
     },
-    obtenerProductos: async () => {
+    obtenerProductosConexion: async (_, { first, after }) => {
+      return await paginar(
+        Producto,
+        {},
+        { first, after },
+        { orden: { campo: "nombre", direccion: 1 } }
+      );
+    },
+    obtenerProductos: async (_, { limit, offset }) => {
       try {
-        const productos = await Producto.find({});
+        const productos = await Producto.find({})
+          .sort({ nombre: 1, _id: 1 })
+          .skip(offset || 0)
+          .limit(Math.min(limit || LIMITE_MAXIMO, LIMITE_MAXIMO));
         return productos;
       } catch (error) {
         console.log(error);
@@ -73,6 +193,23 @@ const resolvers = {
       }
       return producto;
     },
+    obtenerClientesConexion: async (_, { first, after }, ctx) => {
+      // Un vendedor solo ve sus clientes
+      const query =
+        ctx.usuario.role === "administrador"
+          ? {}
+          : { vendedor: ctx.usuario.id };
+
+      return await paginar(
+        Cliente,
+        query,
+        { first, after },
+        {
+          preparar: (consulta) =>
+            consulta.populate("vendedor", proyeccionUsuario(ctx)),
+        }
+      );
+    },
     obtenerClientes: async (_, { limit, offset }, ctx) => {
       const { usuario } = ctx; // Assuming `usuario` contains the logged-in user's information
 
@@ -93,7 +230,7 @@ const resolvers = {
         const clientes = await Cliente.find(query)
           .skip(offset || 0) // Default offset to 0 if not provided
           .limit(limit || 10)
-          .populate("vendedor"); // Default limit to 10 if not provided
+          .populate("vendedor", proyeccionUsuario(ctx)); // Default limit to 10 if not provided
 
         return clientes;
       } catch (error) {
@@ -137,11 +274,6 @@ const resolvers = {
       }
     },
     obtenerCliente: async (_, { id }, ctx) => {
-      // Verificar si el usuario está autenticado
-      if (!ctx.usuario) {
-        throw new Error("Usuario no autenticado");
-      }
-
       // Verificar si el cliente existe
       const cliente = await Cliente.findById(id);
       if (!cliente) {
@@ -188,12 +320,40 @@ const resolvers = {
 
       return cliente;
     },
-    obtenerPedidos: async () => {
+    obtenerPedidosConexion: async (
+      _,
+      { first, after, estado, filtro, orden },
+      ctx
+    ) => {
+      // El argumento estado equivale a filtro.estados con un solo valor
+      const query = construirFiltroPedidos(
+        estado ? { ...filtro, estados: [estado] } : filtro || {},
+        ctx.usuario
+      );
+
+      return await paginar(
+        Pedido,
+        query,
+        { first, after },
+        {
+          orden: construirOrdenPedidos(orden || {}),
+          preparar: (consulta) =>
+            consulta
+              .populate("cliente")
+              .populate("proveedor")
+              .populate("vendedor", proyeccionUsuario(ctx)),
+        }
+      );
+    },
+    obtenerPedidos: async (_, { limit, offset }, ctx) => {
       try {
         const pedidos = await Pedido.find({})
+          .sort({ creado: -1, _id: -1 })
+          .skip(offset || 0)
+          .limit(Math.min(limit || LIMITE_MAXIMO, LIMITE_MAXIMO))
           .populate("cliente")
           .populate("proveedor")
-          .populate("vendedor");
+          .populate("vendedor", proyeccionUsuario(ctx));
         return pedidos;
       } catch (error) {
         console.log(error);
@@ -204,7 +364,7 @@ const resolvers = {
         const pedidos = Pedido.find({ vendedor: ctx.usuario.id })
           .populate("cliente")
           .populate("proveedor")
-          .populate("vendedor");
+          .populate("vendedor", proyeccionUsuario(ctx));
         return pedidos;
       } catch (error) {
         console.log(error);
@@ -231,7 +391,7 @@ const resolvers = {
         .limit(limit || 10)
         .populate("cliente")
         .populate("proveedor")
-        .populate("vendedor");
+        .populate("vendedor", proyeccionUsuario(ctx));
 
       return pedidos;
     },
@@ -252,12 +412,17 @@ const resolvers = {
 
       return await Pedido.countDocuments(query);
     },
-    obtenerPedidosProveedor: async (_, { id }, ctx) => {
+    obtenerPedidosProveedor: async (_, { codigo }, ctx) => {
+      const proveedor = await Proveedor.findOne({ codigo });
+      if (!proveedor) {
+        throw new Error("Proveedor no encontrado");
+      }
+
       try {
         const pedidos = await Pedido.find({
-          $and: [{ vendedor: ctx.usuario.id }, { proveedor: id }],
+          $and: [{ vendedor: ctx.usuario.id }, { proveedor: proveedor._id }],
         })
-          .populate("vendedor")
+          .populate("vendedor", proyeccionUsuario(ctx))
           .populate("cliente");
         return pedidos;
       } catch (error) {
@@ -270,7 +435,7 @@ const resolvers = {
     obtenerPedido: async (_, { id }, ctx) => {
       // verificar si el peddo existe
       const pedido = await Pedido.findById(id)
-        .populate("vendedor")
+        .populate("vendedor", proyeccionUsuario(ctx))
         .populate("proveedor")
         .populate("cliente");
 
@@ -280,10 +445,13 @@ const resolvers = {
         throw new Error("Pedido no encontrado");
       }
 
-      // solo quien lo creo puede verlo
-      /*if(pedido.vendedor.toString() !== ctx.usuario.id){
-                throw new Error('No tienes las credenciales');
-            }*/
+      // solo quien lo creo o un administrador puede verlo
+      if (
+        ctx.usuario.role !== "administrador" &&
+        pedido.vendedor._id.toString() !== ctx.usuario.id
+      ) {
+        throw new Error("No tienes las credenciales");
+      }
 
       // retornar resultado
       return {
@@ -294,15 +462,26 @@ const resolvers = {
     obtenerPedidosEstado: async (_, { estado }, ctx) => {
       const pedidos = await Pedido.find({ vendedor: ctx.usuario.id, estado })
         .populate("cliente")
-        .populate("vendedor");
+        .populate("vendedor", proyeccionUsuario(ctx));
       return pedidos;
     },
     buscarProducto: async (_, { texto }) => {
-      const productos = await Producto.find({
-        $text: { $search: texto },
-      }).limit(10);
+      const { productos } = await buscarProductos({ texto, limite: 10 });
       return productos;
     },
+    buscarProductos: async (_, { texto, filtro }) => {
+      return await buscarProductos({ texto, ...filtro });
+    },
+    obtenerRegiones: () => REGIONES,
+    obtenerComunas: (_, { region }) => obtenerComunas(region),
+    obtenerProveedoresConexion: async (_, { first, after }) => {
+      return await paginar(
+        Proveedor,
+        {},
+        { first, after },
+        { orden: { campo: "nombre", direccion: 1 } }
+      );
+    },
     obtenerProveedores: async () => {
       try {
         const proveedores = await Proveedor.find({});
@@ -336,12 +515,85 @@ const resolvers = {
         console.log("error:", error);
       }
     },
-    obtenerPedidosEntregados: async (_, { vendedorId }, { Pedido }) => {
+    reporteVentas: async (_, { agrupacion, filtro }, ctx) => {
+      const { desde, hasta, estados } = filtro || {};
+      return await reporteVentas(agrupacion, {
+        desde: parsearFecha(desde, "desde"),
+        hasta: parsearFechaHasta(hasta, "hasta"),
+        estados,
+      });
+    },
+    resumenComisiones: async (_, { desde, hasta, vendedorId }, ctx) => {
+      // Un administrador puede consultar cualquier vendedor (o todos); un
+      // vendedor solo sus propias comisiones
+      return await resumenComisiones({
+        vendedorId:
+          ctx.usuario.role === "administrador" ? vendedorId : ctx.usuario.id,
+        desde: parsearFecha(desde, "desde"),
+        hasta: parsearFechaHasta(hasta, "hasta"),
+      });
+    },
+    obtenerLiquidaciones: async (_, { vendedorId, estado }, ctx) => {
+      const query = {};
+      // Un vendedor solo ve sus propias liquidaciones
+      if (ctx.usuario.role === "administrador") {
+        if (vendedorId) query.vendedor = vendedorId;
+      } else {
+        query.vendedor = ctx.usuario.id;
+      }
+      if (estado) {
+        query.estado = estado;
+      }
+
+      return await Liquidacion.find(query)
+        .sort({ creado: -1 })
+        .populate("vendedor", proyeccionUsuario(ctx));
+    },
+    obtenerLiquidacion: async (_, { id }, ctx) => {
+      const liquidacion = await Liquidacion.findById(id).populate(
+        "vendedor",
+        proyeccionUsuario(ctx)
+      );
+      if (!liquidacion) {
+        throw new Error("Liquidación no encontrada");
+      }
+
+      if (
+        ctx.usuario.role !== "administrador" &&
+        liquidacion.vendedor._id.toString() !== ctx.usuario.id
+      ) {
+        throw new Error("No tienes las credenciales");
+      }
+
+      return liquidacion;
+    },
+    obtenerKardex: async (_, { producto, desde, hasta }, ctx) => {
+      return await obtenerKardex(producto, {
+        desde: parsearFecha(desde, "desde"),
+        hasta: parsearFechaHasta(hasta, "hasta"),
+      });
+    },
+    existenciaEnFecha: async (_, { producto, fecha }, ctx) => {
+      // Una fecha sin hora es la existencia al cierre de ese día
+      return await existenciaEnFecha(
+        producto,
+        parsearFechaHasta(fecha, "fecha")
+      );
+    },
+    obtenerPedidosEntregados: async (_, { vendedorId }, ctx) => {
+      // Un vendedor solo puede ver sus propios pedidos
+      if (
+        ctx.usuario.role !== "administrador" &&
+        vendedorId !== ctx.usuario.id
+      ) {
+        throw new Error("No tienes las credenciales");
+      }
+
       try {
-        const pedidos = await Pedido.find({
+        const pedidos = await ctx.Pedido.find({
           estado: "Entregado",
           vendedor: vendedorId,
-        }).populate("vendedor"); // Populate the vendedor field
+        }).populate("vendedor", proyeccionUsuario(ctx)); // Populate the vendedor field
         return pedidos;
       } catch (error) {
         console.error("Error fetching pedidos:", error);
@@ -350,8 +602,11 @@ const resolvers = {
     },
   },
   Mutation: {
-    nuevoUsuario: async (_, { input }) => {
+    nuevoUsuario: async (_, { input }, ctx) => {
       const { email, password } = input;
+      // La misma política que al cambiar o recuperar el password
+      validarPasswordNuevo(password);
+
       // revisar si el usuario ya está registrado
       const existeUsuario = await Usuario.findOne({ email });
       if (existeUsuario) {
@@ -359,13 +614,30 @@ const resolvers = {
       }
 
       // hashear su password
-      const salt = await bcryptjs.genSalt(10);
-      input.password = await bcryptjs.hash(password, salt);
+      input.password = await hashearPassword(password);
+
+      // Solo un administrador asigna roles; sus altas quedan aprobadas y el
+      // auto registro queda pendiente de revisión
+      const esAdministrador =
+        ctx.usuario?.role === "administrador" &&
+        ctx.usuario.estado === "aprobado";
+      if (esAdministrador) {
+        input.estado = "aprobado";
+        input.revisadoPor = ctx.usuario.id;
+        input.fechaRevision = new Date();
+      } else {
+        input.role = "vendedor";
+        input.estado = "pendiente";
+      }
 
       try {
         // guardarlo en la base de datos
         const usuario = new Usuario(input);
         await usuario.save(); // guardarlo
+        // Con este token el formulario de registro sube los carnets
+        if (!esAdministrador) {
+          usuario.tokenRegistro = crearTokenRegistro(usuario);
+        }
         return usuario;
       } catch (error) {
         console.log(error);
@@ -376,9 +648,18 @@ const resolvers = {
       }
     },
     actualizarUsuario: async (_, { id, input }, ctx) => {
-      // Verify if the user is authenticated
-      if (!ctx.usuario) {
-        throw new Error("Usuario no autenticado");
+      // Un vendedor solo puede actualizar su propia cuenta
+      if (ctx.usuario.role !== "administrador" && id !== ctx.usuario.id) {
+        throw new Error("No tienes las credenciales");
+      }
+
+      // El password solo cambia con cambiarPassword o resetPassword, que
+      // lo hashean; aquí se ignora para no guardarlo en texto plano
+      const { password, ...datos } = input;
+
+      // Solo un administrador puede cambiar roles
+      if (ctx.usuario.role !== "administrador") {
+        delete datos.role;
       }
 
       // Check if the cliente exists
@@ -390,65 +671,188 @@ const resolvers = {
 
       try {
         // Update the cliente
-        usuario = await Usuario.findOneAndUpdate({ _id: id }, input, {
+        const cambiaRol = datos.role && datos.role !== usuario.role;
+        usuario = await Usuario.findOneAndUpdate({ _id: id }, datos, {
           new: true,
         });
+
+        // Con otro rol, los tokens ya emitidos no deben seguir sirviendo
+        if (cambiaRol) {
+          await invalidarTokensAcceso(id);
+        }
         return usuario;
       } catch (error) {
         console.error("Error al actualizar el usuario:", error);
         throw new Error("No se pudo actualizar el usuario");
       }
     },
-    autenticarUsuario: async (_, { input }) => {
+    autenticarUsuario: async (_, { input }, ctx) => {
       const { email, password } = input;
-      // si el usuario existe
-      const existeUsuario = await Usuario.findOne({ email });
-      if (!existeUsuario) {
-        throw new Error("El usuario no existe");
+      // revisar credenciales con límite de intentos por cuenta e IP
+      const existeUsuario = await verificarCredenciales({
+        email,
+        password,
+        ip: ctx.ip,
+      });
+
+      // solo las cuentas aprobadas pueden iniciar sesión
+      if (existeUsuario.estado !== "aprobado") {
+        throw new Error(MENSAJES_ESTADO_USUARIO[existeUsuario.estado]);
+      }
+
+      // crear token de acceso y refresh token
+      const { token, refreshToken } = await iniciarSesion(existeUsuario);
+
+      return { token, refreshToken };
+    },
+    refrescarToken: async (_, { refreshToken }) => {
+      return await refrescarSesion(refreshToken);
+    },
+    cerrarSesion: async (_, { refreshToken }) => {
+      return await cerrarSesion(refreshToken);
+    },
+    cerrarTodasLasSesiones: async (_, args, ctx) => {
+      await cerrarTodasLasSesiones(ctx.usuario.id);
+      return true;
+    },
+    cambiarEstadoUsuario: async (_, { id, estado, motivo }, ctx) => {
+      if (id === ctx.usuario.id) {
+        throw new Error("No puedes cambiar el estado de tu propia cuenta");
+      }
+
+      const usuario = await Usuario.findById(id);
+      if (!usuario) {
+        throw new Error("Ese usuario no existe");
+      }
+
+      validarCambioEstadoUsuario(usuario.estado, estado, motivo);
+
+      const usuarioActualizado = await Usuario.findByIdAndUpdate(
+        id,
+        {
+          $set: {
+            estado,
+            motivoEstado: motivo,
+            revisadoPor: ctx.usuario.id,
+            fechaRevision: new Date(),
+          },
+        },
+        { new: true }
+      ).select(PROYECCION_PRIVADA);
+
+      // Una cuenta que deja de estar aprobada pierde sus sesiones
+      if (estado !== "aprobado") {
+        await cerrarTodasLasSesiones(id);
+      }
+
+      try {
+        await enviarCorreo({
+          para: usuario.email,
+          asunto: "Estado de tu cuenta en Six Bridge",
+          texto:
+            estado === "aprobado"
+              ? `Hola ${usuario.nombre}, tu cuenta fue aprobada. Ya puedes iniciar sesión.`
+              : `Hola ${usuario.nombre}, tu cuenta quedó ${estado}. Motivo: ${motivo}`,
+        });
+      } catch (error) {
+        console.error("Error al notificar el estado de la cuenta:", error);
       }
-      // revisar si el password es correcto
+
+      return usuarioActualizado;
+    },
+    eliminarDocumento: async (_, { id }, ctx) => {
+      const documento = await Documento.findById(id);
+      if (!documento) {
+        throw new Error("Documento no encontrado");
+      }
+      if (!(await puedeVerDocumento(documento, ctx.usuario))) {
+        throw new Error("No tienes las credenciales");
+      }
+
+      await eliminarDocumento(documento);
+      return "Documento eliminado";
+    },
+    desbloquearUsuario: async (_, { id }) => {
+      const usuario = await desbloquearUsuario(id);
+      if (!usuario) {
+        throw new Error("Ese usuario no existe");
+      }
+      return usuario;
+    },
+    cambiarPassword: async (_, { passwordActual, passwordNuevo }, ctx) => {
+      const usuario = await Usuario.findById(ctx.usuario.id).select(
+        "+password"
+      );
+      if (!usuario) {
+        throw new Error("Usuario no encontrado");
+      }
+
       const passwordCorrecto = await bcryptjs.compare(
-        password,
-        existeUsuario.password
+        passwordActual,
+        usuario.password
       );
       if (!passwordCorrecto) {
-        throw new Error("El password es Incorrecto");
+        throw new Error("El password actual es incorrecto");
       }
+      validarPasswordNuevo(passwordNuevo);
 
-      // crear token
-      const token = jwt.sign(
-        { id: existeUsuario._id, role: existeUsuario.role }, // Include the user's role
-        process.env.SECRETA,
-        { expiresIn: "1h" }
+      await Usuario.updateOne(
+        { _id: usuario._id },
+        { $set: { password: await hashearPassword(passwordNuevo) } }
       );
 
-      // Return the user and token
-      return {
-        user: {
-          id: existeUsuario._id,
-          role: existeUsuario.role,
-        },
-        token,
-      };
+      // Cerrar las demás sesiones y entregar tokens nuevos a esta
+      await cerrarTodasLasSesiones(usuario._id);
+      const { token, refreshToken } = await iniciarSesion(
+        await Usuario.findById(usuario._id)
+      );
+      return { token, refreshToken };
     },
-    nuevoProducto: async (_, { input }) => {
+    solicitarResetPassword: async (_, { email }) => {
+      try {
+        await solicitarResetPassword(email);
+      } catch (error) {
+        console.error("Error en solicitarResetPassword:", error);
+      }
+      // Siempre true, exista o no la cuenta
+      return true;
+    },
+    resetPassword: async (_, { token, passwordNuevo }) => {
+      const usuario = await resetPassword(token, passwordNuevo);
+      await cerrarTodasLasSesiones(usuario._id);
+      return true;
+    },
+    nuevoProducto: async (_, { input }, ctx) => {
       try {
         const producto = new Producto(input);
         await producto.save();
+        await registrarExistenciaInicial(producto, {
+          usuario: ctx.usuario?.id,
+        });
         return producto;
       } catch (error) {
         console.error("Error creating producto:", error);
         throw new Error("Error creating producto");
       }
     },
-    actualizarProducto: async (_, { id, input }) => {
+    actualizarProducto: async (_, { id, input }, ctx) => {
+      // La existencia se cambia aparte para dejar el ajuste en el kardex
+      const { existencia, ...datos } = input;
+
       try {
-        const producto = await Producto.findByIdAndUpdate(id, input, {
+        const producto = await Producto.findByIdAndUpdate(id, datos, {
           new: true,
         });
         if (!producto) {
           throw new Error("Producto no encontrado");
         }
+        if (existencia !== undefined && existencia !== producto.existencia) {
+          await fijarExistencia(id, existencia, {
+            usuario: ctx.usuario?.id,
+            motivo: "Edición de producto",
+          });
+          producto.existencia = existencia;
+        }
         return producto;
       } catch (error) {
         console.error("Error updating producto:", error);
@@ -466,11 +870,17 @@ const resolvers = {
 
       return "Producto eliminado";
     },
-    insertProducts: async (_, { productos }) => {
+    insertProducts: async (_, { productos }, ctx) => {
       const insertedProducts = await Producto.insertMany(productos);
+      for (const producto of insertedProducts) {
+        await registrarExistenciaInicial(producto, {
+          origen: "importacion",
+          usuario: ctx.usuario?.id,
+        });
+      }
       return insertedProducts;
     },
-    upsertProducts: async (_, { productos }) => {
+    upsertProducts: async (_, { productos }, ctx) => {
       const success = [];
       const errors = [];
 
@@ -479,24 +889,39 @@ const resolvers = {
           // Generate SKU in the backend
           producto.sku = `${producto.skuproveedor}${producto.skuproducto}`;
 
-          // Check if the product already exists
+          // Check if the product already exists (same provider and code)
           const existingProduct = await Producto.findOne({
+            skuproveedor: producto.skuproveedor,
             skuproducto: producto.skuproducto,
           });
 
           if (existingProduct) {
             // Update the existing product
+            const { existencia, ...datos } = producto;
             const updatedProduct = await Producto.findOneAndUpdate(
-              { skuproducto: producto.skuproducto },
-              { $set: producto },
+              { _id: existingProduct._id },
+              { $set: datos },
               { new: true } // Return the updated document
             );
+            if (existencia !== updatedProduct.existencia) {
+              await fijarExistencia(updatedProduct._id, existencia, {
+                origen: "importacion",
+                usuario: ctx.usuario?.id,
+                motivo: "Carga masiva de productos",
+              });
+              updatedProduct.existencia = existencia;
+            }
             success.push(updatedProduct);
             console.log("newProduct", updatedProduct);
           } else {
             // Insert a new product
             const newProduct = new Producto(producto);
             await newProduct.save();
+            await registrarExistenciaInicial(newProduct, {
+              origen: "importacion",
+              usuario: ctx.usuario?.id,
+              motivo: "Carga masiva de productos",
+            });
             success.push(newProduct);
             console.log("newProduct", newProduct);
           }
@@ -512,20 +937,39 @@ const resolvers = {
 
       return { success, errors };
     },
+    ajustarInventario: async (_, { producto, existencia, motivo }, ctx) => {
+      await fijarExistencia(producto, existencia, {
+        usuario: ctx.usuario.id,
+        motivo,
+      });
+      return await Producto.findById(producto);
+    },
     nuevoCliente: async (_, { input }, ctx) => {
       const { email } = input;
 
-      // Verify if the user is authenticated
-      if (!ctx.usuario) {
-        throw new Error("Usuario no autenticado");
-      }
-
-      // Check if the cliente already exists
-      const clienteExistente = await Cliente.findOne({ email });
+      // Check if the cliente already exists. El modelo guarda el email en
+      // minúsculas; la collation encuentra también los antiguos
+      const clienteExistente = await Cliente.findOne({ email }).collation(
+        COLACION_SIN_MAYUSCULAS
+      );
       if (clienteExistente) {
         throw new Error("Este cliente ya está registrado");
       }
 
+      // El RUT no se repite dentro de la cartera de un vendedor
+      if (input.rut) {
+        if (!validarRUT(input.rut)) {
+          throw new Error(`${input.rut} no es un RUT válido`);
+        }
+        const rutExistente = await Cliente.findOne({
+          vendedor: ctx.usuario.id,
+          rut: formatearRUT(input.rut),
+        });
+        if (rutExistente) {
+          throw new Error("Ya tienes un cliente con ese RUT");
+        }
+      }
+
       // Create a new cliente
       const nuevoCliente = new Cliente({
         ...input,
@@ -542,11 +986,6 @@ const resolvers = {
       }
     },
     actualizarCliente: async (_, { id, input }, ctx) => {
-      // Verificar si el usuario está autenticado
-      if (!ctx.usuario) {
-        throw new Error("Usuario no autenticado");
-      }
-
       // Verificar si el cliente existe
       const cliente = await Cliente.findById(id);
       if (!cliente) {
@@ -616,11 +1055,6 @@ const resolvers = {
     nuevoPedido: async (_, { input }, ctx) => {
       const { cliente, pedido } = input;
 
-      // Verify if the user is authenticated
-      if (!ctx.usuario) {
-        throw new Error("Usuario no autenticado");
-      }
-
       // Check if the cliente exists
       const clienteExiste = await Cliente.findById(cliente);
       if (!clienteExiste) {
@@ -632,76 +1066,84 @@ const resolvers = {
         throw new Error("No tienes las credenciales");
       }
 
-      // Validate stock for each product in the pedido
-      let purchaseTotal = 0; // Initialize the purchase total
-      for await (const articulo of pedido) {
-        const { id, cantidad } = articulo;
-        const producto = await Producto.findById(id);
-
-        if (!producto) {
-          throw new Error(`Producto con ID ${id} no encontrado`);
-        }
-
-        if (cantidad > producto.existencia) {
-          throw new Error(
-            `El artículo ${producto.nombre} excede la cantidad disponible`
-          );
-        }
-
-        // Reduce stock
-        producto.existencia -= cantidad;
-        await producto.save();
-
-        // Add to the purchase total
-        purchaseTotal += producto.precio * cantidad;
-      }
-
-      // Calculate the delivery cost
-      const envio = await calculateDeliveryCost(purchaseTotal);
-
-      // Calculate the total cost (purchase total + delivery cost)
-      const total = purchaseTotal + envio;
-
-      console.log("purchaseTotal: ", purchaseTotal);
-      console.log("envio: ", envio);
-      console.log("total: ", total);
-
-      // Create a new pedido
-      const nuevoPedido = new Pedido({
-        ...input,
-        cliente: clienteExiste._id,
-        vendedor: ctx.usuario.id,
-        subtotal: purchaseTotal,
-        total, // Add the purchase total
-        envio, // Add the delivery cost
-      });
+      // Reservar stock y guardar el pedido en una sola transacción: si algún
+      // artículo no tiene existencia o el guardado falla, no se descuenta nada
+      const session = await mongoose.startSession();
+      const pedidoId = new mongoose.Types.ObjectId();
+      let resultado;
 
       try {
-        // Save the pedido to the database
-        const resultado = await nuevoPedido.save();
-
-        // Populate the cliente, vendedor, and proveedor fields
-        const pedidoPopulado = await Pedido.findById(resultado._id)
-          .populate("cliente")
-          .populate("vendedor")
-          .populate("proveedor");
-
-        // Convert ObjectId fields to strings
-        pedidoPopulado.cliente.id = pedidoPopulado.cliente._id.toString();
-        pedidoPopulado.vendedor.id = pedidoPopulado.vendedor._id.toString();
-        pedidoPopulado.proveedor.id = pedidoPopulado.proveedor._id.toString();
+        await session.withTransaction(async () => {
+          let purchaseTotal = 0; // Initialize the purchase total
+          const lineas = [];
+          for (const articulo of pedido) {
+            const { id, cantidad } = articulo;
+
+            // Descuento atómico: nunca deja la existencia bajo cero
+            const producto = await descontarExistencia(id, cantidad, {
+              session,
+              pedido: pedidoId,
+              usuario: ctx.usuario.id,
+              motivo: "Venta",
+            });
+
+            // Guardar precio, costo, nombre y SKU al momento de la venta
+            lineas.push(crearLineaPedido(producto, cantidad));
+
+            // Add to the purchase total
+            purchaseTotal += producto.precio * cantidad;
+          }
 
-        console.log("Cliente:", pedidoPopulado.cliente.id);
-        console.log("Vendedor:", pedidoPopulado.vendedor.id);
-        console.log("Proveedor:", pedidoPopulado.proveedor.id);
+          // Calculate the delivery cost
+          const envio = await calculateDeliveryCost(purchaseTotal);
+
+          // Calculate the total cost (purchase total + delivery cost)
+          const total = purchaseTotal + envio;
+
+          // Create a new pedido
+          const nuevoPedido = new Pedido({
+            ...input,
+            _id: pedidoId,
+            pedido: lineas,
+            cliente: clienteExiste._id,
+            vendedor: ctx.usuario.id,
+            subtotal: purchaseTotal,
+            total, // Add the purchase total
+            envio, // Add the delivery cost
+            // Todo pedido nace Pendiente; los cambios pasan por actualizarPedido
+            estado: "Pendiente",
+            historialEstados: [
+              { estadoNuevo: "Pendiente", usuario: ctx.usuario.id },
+            ],
+          });
 
-        return pedidoPopulado;
+          // Save the pedido to the database
+          resultado = await nuevoPedido.save({ session });
+        });
       } catch (error) {
         console.error("Error al guardar el pedido:", error);
+        if (error instanceof ErrorInventario) {
+          throw error;
+        }
         throw new Error("No se pudo guardar el pedido");
+      } finally {
+        await session.endSession();
       }
+
+      // Populate the cliente, vendedor, and proveedor fields
+      const pedidoPopulado = await Pedido.findById(resultado._id)
+        .populate("cliente")
+        .populate("vendedor", proyeccionUsuario(ctx))
+        .populate("proveedor");
+
+      // Convert ObjectId fields to strings
+      pedidoPopulado.cliente.id = pedidoPopulado.cliente._id.toString();
+      pedidoPopulado.vendedor.id = pedidoPopulado.vendedor._id.toString();
+      pedidoPopulado.proveedor.id = pedidoPopulado.proveedor._id.toString();
+
+      return pedidoPopulado;
     },
-    actualizarPedido: async (_, { id, input }, ctx) => {
+    actualizarPedido: async (_, { id, input, motivo }, ctx) => {
       const {
         estado,
         pedido: productosInput,
@@ -711,114 +1153,163 @@ const resolvers = {
 
       console.log("Received input from frontend:", input); // Log the input
 
-      try {
-        // Verify if the user is authenticated
-        if (!ctx.usuario) {
-          throw new Error("Usuario no autenticado");
-        }
+      // Los cambios de cantidad mueven stock, así que el pedido y el
+      // inventario se actualizan juntos o no se actualizan
+      const session = await mongoose.startSession();
+      let pedido;
 
-        // Find the pedido by ID
-        const pedido = await Pedido.findById(id)
-          .populate("cliente")
-          .populate("vendedor")
-          .populate("proveedor");
+      try {
+        await session.withTransaction(async () => {
+          // Find the pedido by ID
+          pedido = await Pedido.findById(id).session(session);
 
-        if (!pedido) {
-          throw new Error("Pedido no encontrado");
-        }
+          if (!pedido) {
+            throw new Error("Pedido no encontrado");
+          }
 
-        // Verify if the authenticated user is the admin
-        if (ctx.usuario.role === "vendedor") {
-          console.log("ctx.usuario.role: ", ctx.usuario.role);
-          throw new Error("No tienes las credenciales");
-        }
+          if (pedido.estado === "Cancelado") {
+            throw new Error("Un pedido cancelado no se puede modificar");
+          }
 
-        // Update estado if provided
-        if (estado) {
-          pedido.estado = estado;
-        }
+          // La cancelación necesita motivo y repone stock: va por cancelarPedido
+          if (estado === "Cancelado") {
+            throw new Error("Para cancelar el pedido usa cancelarPedido");
+          }
 
-        // Update productos if provided
-        if (productosInput && productosInput.length > 0) {
-          for (const {
-            id: productoId,
-            cantidad: nuevaCantidad,
-          } of productosInput) {
-            if (!productoId || nuevaCantidad === undefined) {
-              console.warn(`Producto con ID ${productoId} o cantidad inválida`);
-              continue;
-            }
+          // Cambiar el estado respetando las transiciones permitidas
+          if (estado && estado !== pedido.estado) {
+            pedido.cambiarEstado(estado, { usuario: ctx.usuario.id, motivo });
+          }
 
-            const producto = await Producto.findById(productoId);
-            if (!producto) {
-              console.warn(`Producto con ID ${productoId} no encontrado`);
-              continue;
+          // Lo que aportan al subtotal las líneas antiguas sin precio
+          // guardado no se recalcula: el precio vigente del producto no es
+          // el de la venta
+          const subtotalSinPrecio = pedido.pedido.every(tienePrecio)
+            ? 0
+            : (pedido.subtotal || 0) - sumarLineasConPrecio(pedido.pedido);
+
+          // Update productos if provided
+          if (productosInput && productosInput.length > 0) {
+            const datosMovimiento = {
+              session,
+              pedido: pedido._id,
+              usuario: ctx.usuario.id,
+              motivo: motivo || "Edición de pedido",
+            };
+
+            for (const {
+              id: productoId,
+              cantidad: nuevaCantidad,
+            } of productosInput) {
+              if (
+                !productoId ||
+                !Number.isInteger(nuevaCantidad) ||
+                nuevaCantidad < 0
+              ) {
+                console.warn(
+                  `Producto con ID ${productoId} o cantidad inválida`
+                );
+                continue;
+              }
+
+              // Find the product in the pedido array
+              const indice = pedido.pedido.findIndex(
+                (p) => p.id.toString() === productoId
+              );
+              if (indice === -1) {
+                console.warn(
+                  `Producto con ID ${productoId} no está en el pedido`
+                );
+                continue;
+              }
+              const productoEnPedido = pedido.pedido[indice];
+
+              // Ajustar el stock según la diferencia de cantidad
+              const diferencia = nuevaCantidad - productoEnPedido.cantidad;
+              if (diferencia !== 0 && !tienePrecio(productoEnPedido)) {
+                throw new Error(
+                  `El producto ${
+                    productoEnPedido.nombre || productoId
+                  } no tiene guardado su precio de venta, no se puede cambiar su cantidad`
+                );
+              }
+              if (diferencia > 0) {
+                await descontarExistencia(
+                  productoId,
+                  diferencia,
+                  datosMovimiento
+                );
+              } else if (diferencia < 0) {
+                await devolverExistencia(
+                  productoId,
+                  -diferencia,
+                  datosMovimiento
+                );
+              }
+
+              // Cantidad 0 quita la línea del pedido
+              if (nuevaCantidad === 0) {
+                pedido.pedido.splice(indice, 1);
+              } else {
+                productoEnPedido.cantidad = nuevaCantidad;
+              }
             }
 
-            // Find the product in the pedido array
-            const productoEnPedido = pedido.pedido.find(
-              (p) => p.id.toString() === productoId
-            );
-            if (!productoEnPedido) {
-              console.warn(
-                `Producto con ID ${productoId} no está en el pedido`
+            if (pedido.pedido.length === 0) {
+              throw new Error(
+                "El pedido debe tener al menos un producto, elimínalo si ya no corresponde"
               );
-              continue;
             }
 
-            // Update cantidad in the pedido array
-            productoEnPedido.cantidad = nuevaCantidad;
+            // Mark the pedido.pedido array as modified
+            pedido.markModified("pedido");
           }
 
-          // Mark the pedido.pedido array as modified
-          pedido.markModified("pedido");
-        }
-
-        // Replace notas if provided
-        if (notas && notas.length > 0) {
-          pedido.notas = notas; // Replace the existing notas with the new ones
-          pedido.markModified("notas");
-        }
-
-        // Use the envio value from the input
-        pedido.envio = envioInput;
-
-        // Recalculate subtotal based on the updated pedido array
-        let subtotal = 0;
-        for (const producto of pedido.pedido) {
-          const productoDetalle = await Producto.findById(producto.id);
-          subtotal += (productoDetalle?.precio || 0) * producto.cantidad;
-        }
-
-        // Recalculate total
-        const total = subtotal + pedido.envio;
+          // Replace notas if provided
+          if (notas && notas.length > 0) {
+            pedido.notas = notas; // Replace the existing notas with the new ones
+            pedido.markModified("notas");
+          }
 
-        // Update subtotal and total
-        pedido.subtotal = subtotal;
-        pedido.total = total;
+          // Use the envio value from the input
+          pedido.envio = envioInput;
 
-        console.log("Updated Pedido:", pedido); // Log the updated pedido
+          // Recalculate subtotal based on the updated pedido array, usando
+          // el precio con que se vendió cada línea
+          const subtotal =
+            subtotalSinPrecio + sumarLineasConPrecio(pedido.pedido);
 
-        // Save the updated pedido
-        await pedido.save();
+          // Recalculate total
+          const total = subtotal + pedido.envio;
 
-        // Convert ObjectId fields to strings
-        pedido.cliente.id = pedido.cliente._id.toString();
-        pedido.vendedor.id = pedido.vendedor._id.toString();
-        pedido.proveedor.id = pedido.proveedor._id.toString();
+          // Update subtotal and total
+          pedido.subtotal = subtotal;
+          pedido.total = total;
 
-        return pedido;
+          // Save the updated pedido
+          await pedido.save({ session });
+        });
       } catch (error) {
         console.error("Error al actualizar el pedido:", error);
         throw new Error(`Error actualizando el pedido: ${error.message}`);
+      } finally {
+        await session.endSession();
       }
+
+      await pedido.populate([
+        "cliente",
+        "proveedor",
+        { path: "vendedor", select: proyeccionUsuario(ctx) },
+      ]);
+
+      // Convert ObjectId fields to strings
+      pedido.cliente.id = pedido.cliente._id.toString();
+      pedido.vendedor.id = pedido.vendedor._id.toString();
+      pedido.proveedor.id = pedido.proveedor._id.toString();
+
+      return pedido;
     },
     eliminarPedido: async (_, { id }, ctx) => {
-      // Verify if the user is authenticated
-      if (!ctx.usuario) {
-        throw new Error("Usuario no autenticado");
-      }
-
       // Check if the pedido exists
       const pedido = await Pedido.findById(id);
       if (!pedido) {
@@ -830,14 +1321,93 @@ const resolvers = {
         throw new Error("No tienes las credenciales");
       }
 
+      const session = await mongoose.startSession();
       try {
-        // Delete the pedido
-        await Pedido.findOneAndDelete({ _id: id });
-        return "Pedido eliminado";
+        await session.withTransaction(async () => {
+          // Releer dentro de la transacción: el estado decide si se repone
+          // stock y pudo cambiar desde la lectura de arriba
+          const actual = await Pedido.findById(id).session(session);
+          if (!actual) {
+            throw new Error("El pedido no existe");
+          }
+
+          // Un pedido entregado ya salió de bodega y uno cancelado ya
+          // devolvió su stock: en ambos casos no hay nada que reponer
+          if (!["Entregado", "Cancelado"].includes(actual.estado)) {
+            await devolverStockPedido(actual, {
+              session,
+              usuario: ctx.usuario.id,
+              motivo: "Pedido eliminado",
+            });
+          }
+
+          // Delete the pedido
+          await Pedido.deleteOne({ _id: id }, { session });
+        });
       } catch (error) {
         console.error("Error al eliminar el pedido:", error);
         throw new Error("No se pudo eliminar el pedido");
+      } finally {
+        await session.endSession();
+      }
+
+      // Sus adjuntos ya no tienen a qué pertenecer. El pedido y el stock ya
+      // quedaron confirmados, así que un error aquí solo se registra
+      try {
+        const documentos = await Documento.find({ pedido: id });
+        for (const documento of documentos) {
+          await eliminarDocumento(documento);
+        }
+      } catch (error) {
+        console.error("Error al eliminar los documentos del pedido:", error);
+      }
+      return "Pedido eliminado";
+    },
+    cancelarPedido: async (_, { id, motivo }, ctx) => {
+      const session = await mongoose.startSession();
+      let pedido;
+
+      try {
+        await session.withTransaction(async () => {
+          pedido = await Pedido.findById(id).session(session);
+          if (!pedido) {
+            throw new Error("El pedido no existe");
+          }
+
+          // El vendedor solo puede cancelar sus pedidos aún no aprobados
+          if (ctx.usuario.role !== "administrador") {
+            if (pedido.vendedor.toString() !== ctx.usuario.id) {
+              throw new Error("No tienes las credenciales");
+            }
+            if (!["Pendiente", "Observado"].includes(pedido.estado)) {
+              throw new Error(
+                "Solo un administrador puede cancelar un pedido aprobado"
+              );
+            }
+          }
+
+          pedido.cancelar({ usuario: ctx.usuario.id, motivo });
+
+          await devolverStockPedido(pedido, {
+            session,
+            usuario: ctx.usuario.id,
+            motivo: `Pedido cancelado: ${motivo}`,
+          });
+
+          await pedido.save({ session });
+        });
+      } catch (error) {
+        console.error("Error al cancelar el pedido:", error);
+        throw new Error(`Error cancelando el pedido: ${error.message}`);
+      } finally {
+        await session.endSession();
       }
+
+      return await pedido.populate([
+        "cliente",
+        "proveedor",
+        { path: "vendedor", select: proyeccionUsuario(ctx) },
+      ]);
     },
     nuevoProveedor: async (_, { input }, ctx) => {
       console.log("Contexto recibido:", ctx);
@@ -868,11 +1438,6 @@ const resolvers = {
         throw new Error("Ese proveedor no existe");
       }
 
-      //verificar si el vendedor es quien edita
-      if ("vendedor" === ctx.usuario.role) {
-        throw new Error("No tienes las credenciales");
-      }
-
       // guardar proveedor
       proveedor = await Proveedor.findOneAndUpdate({ _id: id }, input, {
         new: true,
@@ -887,11 +1452,6 @@ const resolvers = {
         throw new Error("Ese proveedor no existe");
       }
 
-      // Verificar permisos (si es necesario)
-      if (ctx.usuario.role === "vendedor") {
-        throw new Error("No tienes las credenciales");
-      }
-
       // Cambiar el estado
       proveedor.estado = !proveedor.estado;
       await proveedor.save();
@@ -906,10 +1466,6 @@ const resolvers = {
         throw new Error("Ese proveedor no existe");
       }
 
-      //verificar si el vendedor es quien edita
-      if ("vendedor" === ctx.usuario.role) {
-        throw new Error("No tienes las credenciales");
-      }
       // ELIMINAR proveedor
       await Proveedor.findOneAndDelete({ _id: id });
       return "Proveedor eliminado";
@@ -926,40 +1482,79 @@ const resolvers = {
       return true;
     },
     marcarComisionPagada: async (_, { id }, ctx) => {
-      if (!ctx.usuario) {
-        throw new Error("Usuario no autenticado");
-      }
+      // El pedido y el historial del vendedor se actualizan juntos
+      const session = await mongoose.startSession();
+      let pedidoActualizado;
 
       try {
-        const pedidoActualizado = await Pedido.findByIdAndUpdate(
-          id,
-          { comisionPagada: true },
-          { new: true } // Devolver el documento actualizado
-        );
+        await session.withTransaction(async () => {
+          // Los pedidos cancelados no generan comisión
+          pedidoActualizado = await Pedido.findOne({
+            _id: id,
+            estado: { $ne: "Cancelado" },
+          }).session(session);
+
+          if (!pedidoActualizado) {
+            throw new Error(
+              "No se encontró el pedido o no se pudo actualizar."
+            );
+          }
 
-        if (!pedidoActualizado) {
-          throw new Error("No se encontró el pedido o no se pudo actualizar.");
-        }
+          await registrarPagoComision(pedidoActualizado, {
+            session,
+            pagadoPor: ctx.usuario.id,
+          });
+        });
 
         return pedidoActualizado;
       } catch (error) {
         console.error("Error en marcarComisionPagada:", error);
-        throw new Error("Error al marcar la comisión como pagada.");
+        throw new Error(
+          `Error al marcar la comisión como pagada: ${error.message}`
+        );
+      } finally {
+        await session.endSession();
       }
     },
-    agregarComisionHistory: async (_, { vendedorId, input }, { db }) => {
-      const { pedidoId, monto, pagadoPor } = input;
+    agregarComisionHistory: async (_, { vendedorId, input }, ctx) => {
+      const { pedidoId } = input;
 
       try {
+        // Solo para pedidos ya pagados que no quedaron en el historial; el
+        // monto sale del pedido, no del cliente
+        const pedido = await Pedido.findOne({
+          _id: pedidoId,
+          vendedor: vendedorId,
+          comisionPagada: true,
+        });
+        if (!pedido) {
+          throw new Error(
+            "No se encontró un pedido pagado de ese vendedor con ese ID."
+          );
+        }
+
+        const yaRegistrado = await Usuario.exists({
+          _id: vendedorId,
+          "comisionHistory.pedidoId": pedido._id,
+        });
+        if (yaRegistrado) {
+          throw new Error("La comisión de ese pedido ya está en el historial.");
+        }
+
+        await pedido.actualizarComision();
+        if (pedido.isModified()) {
+          await pedido.save();
+        }
+
         const usuarioActualizado = await Usuario.findByIdAndUpdate(
           vendedorId,
           {
             $push: {
               comisionHistory: {
-                pedidoId,
+                pedidoId: pedido._id,
                 fecha: new Date().toISOString(),
-                monto,
-                pagadoPor,
+                monto: pedido.comision,
+                pagadoPor: ctx.usuario.id,
               },
             },
           },
@@ -973,10 +1568,87 @@ const resolvers = {
         return usuarioActualizado;
       } catch (error) {
         console.error("Error en agregarComisionHistory:", error);
-        throw new Error("Error al agregar el historial de comisión.");
+        throw new Error(
+          `Error al agregar el historial de comisión: ${error.message}`
+        );
       }
     },
+    crearLiquidacion: async (_, { vendedorId, desde, hasta }, ctx) => {
+      try {
+        const liquidacion = await crearLiquidacion({
+          vendedorId,
+          desde: parsearFecha(desde, "desde"),
+          hasta: parsearFechaHasta(hasta, "hasta"),
+          creadoPor: ctx.usuario.id,
+        });
+        return await liquidacion.populate("vendedor", proyeccionUsuario(ctx));
+      } catch (error) {
+        console.error("Error en crearLiquidacion:", error);
+        throw new Error(`Error al crear la liquidación: ${error.message}`);
+      }
+    },
+    aprobarLiquidacion: async (_, { id }, ctx) => {
+      try {
+        const liquidacion = await aprobarLiquidacion(id, ctx.usuario.id);
+        return await liquidacion.populate("vendedor", proyeccionUsuario(ctx));
+      } catch (error) {
+        console.error("Error en aprobarLiquidacion:", error);
+        throw new Error(`Error al aprobar la liquidación: ${error.message}`);
+      }
+    },
+    anularLiquidacion: async (_, { id }, ctx) => {
+      try {
+        const liquidacion = await anularLiquidacion(id);
+        return await liquidacion.populate("vendedor", proyeccionUsuario(ctx));
+      } catch (error) {
+        console.error("Error en anularLiquidacion:", error);
+        throw new Error(`Error al anular la liquidación: ${error.message}`);
+      }
+    },
+  },
+  HistorialEstado: {
+    usuario: async ({ usuario }, _, ctx) => {
+      if (!usuario) {
+        return null;
+      }
+      // Puede venir poblado o como ObjectId
+      if (usuario instanceof mongoose.Types.ObjectId) {
+        return await Usuario.findById(usuario).select(proyeccionUsuario(ctx));
+      }
+      return usuario;
+    },
+  },
+  // Los datos privados solo llegan al dueño de la cuenta o a un
+  // administrador, también cuando el usuario viene anidado en otro tipo
+  Usuario: {
+    ...Object.fromEntries(
+      CAMPOS_PRIVADOS.map((campo) => [
+        campo,
+        (usuario, _, ctx) =>
+          puedeVerPrivado(usuario, ctx) ? usuario[campo] : null,
+      ])
+    ),
+    // Los carnets son privados, igual que el resto de los datos personales
+    documentos: async (usuario, _, ctx) => {
+      if (!puedeVerPrivado(usuario, ctx)) {
+        return null;
+      }
+      return await Documento.find({ usuario: usuario._id || usuario.id });
+    },
+  },
+  Pedido: {
+    documentos: async (pedido) => {
+      return await Documento.find({ pedido: pedido._id || pedido.id }).sort({
+        creado: 1,
+      });
+    },
+  },
+  Documento: {
+    url: (documento) => urlDocumento(documento),
+    subidoPor: async ({ subidoPor }, _, ctx) => {
+      return await Usuario.findById(subidoPor).select(proyeccionUsuario(ctx));
+    },
   },
 };
 
-module.exports = resolvers;
+module.exports = aplicarPermisos(resolvers, permisos);
@@ -9,7 +9,6 @@ const typeDefs = gql`
     email: String
     telefono: String
     creado: String
-    password: String
     direccioncalle: String
     direccionnumero: String
     direcciondepto: String
@@ -23,9 +22,34 @@ const typeDefs = gql`
     carnetreverso: String
     role: String # "vendedor" o "administrador"
     comisionHistory: [ComisionHistory!]
+    estado: EstadoUsuario
+    motivoEstado: String
+    fechaRevision: String
+    documentos: [Documento!]
+    tokenRegistro: String # Solo al registrarse, para subir los carnets
+  }
+  type Documento {
+    id: ID!
+    tipo: TipoDocumento!
+    nombre: String!
+    mimetype: String!
+    tamano: Int!
+    url: String!
+    subidoPor: Usuario
+    creado: String!
+  }
+  type IntentoLogin {
+    id: ID!
+    email: String
+    ip: String
+    usuario: ID
+    exito: Boolean!
+    motivo: String
+    fecha: String!
   }
   type Token {
     token: String
+    refreshToken: String
   }
   type ComisionHistory {
     pedidoId: ID!
@@ -73,10 +97,27 @@ const typeDefs = gql`
     numeropedido: String
     notas: [String]
     comisionPagada: Boolean!
+    comisionPorcentaje: Float
+    comision: Float
+    historialEstados: [HistorialEstado!]
+    motivoCancelacion: String
+    fechaCancelacion: String
+    documentos: [Documento!]
+  }
+  type HistorialEstado {
+    estadoAnterior: EstadoPedido
+    estadoNuevo: EstadoPedido!
+    motivo: String
+    usuario: Usuario
+    fecha: String!
   }
   type PedidoGrupo {
     id: ID
     cantidad: Int
+    precio: Float
+    costo: Float
+    nombre: String
+    sku: String
   }
   type Proveedor {
     id: ID!
@@ -90,16 +131,94 @@ const typeDefs = gql`
     direcciondepto: String
     direccioncomuna: String
     direccionregion: String
+    direccionprovincia: String
     comision: Float
     codigo: String
     estado: Boolean
   }
+  # Catálogo territorial de Chile
+  type Region {
+    codigo: String!
+    numero: String!
+    nombre: String!
+    provincias: [Provincia!]!
+  }
+  type Provincia {
+    nombre: String!
+    comunas: [String!]!
+  }
+  type Comuna {
+    nombre: String!
+    provincia: String!
+    region: String!
+    codigoRegion: String!
+  }
   type CostoEnvio {
     id: ID!
     minTotal: Float!
     maxTotal: Float!
     costo: Float!
   }
+  type MovimientoInventario {
+    id: ID!
+    producto: ID!
+    tipo: TipoMovimiento!
+    cantidad: Int!
+    existenciaAnterior: Int!
+    existenciaNueva: Int!
+    origen: OrigenMovimiento!
+    pedido: Pedido
+    usuario: Usuario
+    motivo: String
+    fecha: String!
+  }
+  type Liquidacion {
+    id: ID!
+    vendedor: Usuario
+    desde: String!
+    hasta: String!
+    pedidos: [LiquidacionPedido!]!
+    total: Float!
+    estado: EstadoLiquidacion!
+    creado: String
+    aprobadoPor: ID
+    fechaAprobacion: String
+  }
+  type LiquidacionPedido {
+    pedido: ID!
+    numeropedido: String
+    subtotal: Float
+    comision: Float!
+  }
+  type ResumenComisiones {
+    devengado: Float!
+    pendiente: Float!
+    pagado: Float!
+    porProveedor: [ResumenComisionesProveedor!]!
+    porMes: [ResumenComisionesMes!]!
+  }
+  type ResumenComisionesProveedor {
+    proveedor: Proveedor
+    devengado: Float!
+    pendiente: Float!
+    pagado: Float!
+  }
+  type ResumenComisionesMes {
+    mes: String! # AAAA-MM
+    devengado: Float!
+    pendiente: Float!
+    pagado: Float!
+  }
+  type VentasGrupo {
+    clave: String!
+    etiqueta: String!
+    pedidos: Int!
+    unidades: Int!
+    ingresos: Float!
+    costo: Float!
+    margen: Float!
+    margenPorcentaje: Float
+  }
   type AutenticarResponse {
     token: String!
     usuario: Usuario!
@@ -142,13 +261,9 @@ const typeDefs = gql`
   }
   input MarkComisionPagadaInput {
     pedidoId: ID!
-    monto: Float!
-    pagadoPor: String!
   }
   input ComisionHistoryInput {
     pedidoId: ID!
-    monto: Float!
-    pagadoPor: String!
   }
   input ProductoInput {
     nombre: String!
@@ -192,45 +307,213 @@ const typeDefs = gql`
     email: String!
     telefono: String
     direccioncalle: String
+    direccionnumero: String
+    direcciondepto: String
+    direccioncomuna: String
+    direccionregion: String
+    direccionprovincia: String
     rut: String
     comision: Float
     codigo: String
   }
+  input FiltroBusquedaProductos {
+    skuproveedor: String
+    precioMin: Float
+    precioMax: Float
+    soloConStock: Boolean
+    limite: Int
+  }
+  input PedidoFiltro {
+    desde: String
+    hasta: String
+    estados: [EstadoPedido!]
+    proveedor: ID
+    vendedor: ID # Solo para administradores
+    cliente: ID
+    totalMin: Float
+    totalMax: Float
+    comisionPagada: Boolean
+    texto: String # Busca en numeropedido y notas
+  }
+  enum CampoOrdenPedido {
+    creado
+    total
+    numeropedido
+    estado
+  }
+  enum DireccionOrden {
+    ASC
+    DESC
+  }
+  input PedidoOrden {
+    campo: CampoOrdenPedido
+    direccion: DireccionOrden
+  }
+  input FiltroReporteVentas {
+    desde: String
+    hasta: String
+    estados: [EstadoPedido!] # Por defecto todos menos Cancelado
+  }
   input CostoEnvioInput {
     minTotal: Float!
     maxTotal: Float!
     costo: Float!
   }
+  enum TipoMovimiento {
+    entrada
+    salida
+    ajuste
+  }
+  enum OrigenMovimiento {
+    pedido
+    importacion
+    manual
+  }
+  enum AgrupacionVentas {
+    DIA
+    SEMANA
+    MES
+    VENDEDOR
+    PROVEEDOR
+    COMUNA
+    REGION
+    PRODUCTO
+  }
+  enum TipoDocumento {
+    carnetfrente
+    carnetreverso
+    comprobante
+    fotoentrega
+  }
+  enum EstadoUsuario {
+    pendiente
+    aprobado
+    rechazado
+    suspendido
+  }
+  enum EstadoLiquidacion {
+    borrador
+    aprobada
+    anulada
+  }
+  type FacetaProveedor {
+    skuproveedor: String!
+    nombre: String
+    cantidad: Int!
+  }
+  type BusquedaProductos {
+    productos: [Producto!]!
+    total: Int!
+    proveedores: [FacetaProveedor!]!
+    estrategia: String # prefijo, texto o aproximada
+  }
+  # Paginación por cursor
+  type PageInfo {
+    hasNextPage: Boolean!
+    hasPreviousPage: Boolean!
+    startCursor: String
+    endCursor: String
+  }
+  type ClienteEdge {
+    node: Cliente!
+    cursor: String!
+  }
+  type ClienteConexion {
+    edges: [ClienteEdge!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
+  type PedidoEdge {
+    node: Pedido!
+    cursor: String!
+  }
+  type PedidoConexion {
+    edges: [PedidoEdge!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
+  type ProductoEdge {
+    node: Producto!
+    cursor: String!
+  }
+  type ProductoConexion {
+    edges: [ProductoEdge!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
+  type ProveedorEdge {
+    node: Proveedor!
+    cursor: String!
+  }
+  type ProveedorConexion {
+    edges: [ProveedorEdge!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
+  type UsuarioEdge {
+    node: Usuario!
+    cursor: String!
+  }
+  type UsuarioConexion {
+    edges: [UsuarioEdge!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
   enum EstadoPedido {
     Pendiente
     Aprobado
     Observado
     Entregado
+    Cancelado
   }
 
   type Query {
     # Usuarios
     obtenerUsuario: Usuario
+    obtenerUsuariosConexion(
+      first: Int
+      after: String
+      role: String
+      estado: EstadoUsuario
+    ): UsuarioConexion
     obtenerUsuariosPorRol(role: String!, limit: Int!, offset: Int!): [Usuario]
+      @deprecated(reason: "Usar obtenerUsuariosConexion")
     totalVendedores(role: String): Int
+      @deprecated(reason: "Usar totalCount de obtenerUsuariosConexion")
     obtenerVendedor(id: ID!): Usuario
+    obtenerUsuariosPorEstado(estado: EstadoUsuario!): [Usuario]
+    obtenerIntentosLogin(email: String, ip: String, limit: Int): [IntentoLogin]
 
     # Productos
-    obtenerProductos: [Producto]
+    obtenerProductosConexion(first: Int, after: String): ProductoConexion
+    obtenerProductos(limit: Int, offset: Int): [Producto]
     obtenerProducto(id: ID!): Producto
     obtenerProductosProveedor(skuproveedor: String!): [Producto]
 
     # Clientes
+    obtenerClientesConexion(first: Int, after: String): ClienteConexion
     obtenerClientes(limit: Int!, offset: Int!): [Cliente]
+      @deprecated(reason: "Usar obtenerClientesConexion")
     obtenerClientesVendedorTodos(limit: Int!, offset: Int!): [Cliente]
+      @deprecated(reason: "Usar obtenerClientesConexion")
     obtenerClientesVendedor(limit: Int!, offset: Int!): [Cliente]
+      @deprecated(reason: "Usar obtenerClientesConexion")
     totalClientesVendedor: Int
+      @deprecated(reason: "Usar totalCount de obtenerClientesConexion")
     totalClientesVendedorTodos: Int
+      @deprecated(reason: "Usar totalCount de obtenerClientesConexion")
     obtenerCliente(id: ID!): Cliente
     obtenerClienteAdmin(id: ID!): Cliente
 
     # Pedidos
-    obtenerPedidos: [Pedido]
+    obtenerPedidosConexion(
+      first: Int
+      after: String
+      estado: EstadoPedido
+      filtro: PedidoFiltro
+      orden: PedidoOrden
+    ): PedidoConexion
+    obtenerPedidos(limit: Int, offset: Int): [Pedido]
     obtenerPedidosVendedor: [Pedido]
     obtenerPedido(id: ID!): Pedido
     obtenerPedidosEstado(estado: String!): [Pedido]
@@ -239,19 +522,57 @@ const typeDefs = gql`
       estado: String
       limit: Int!
       offset: Int!
-    ): [Pedido]
+    ): [Pedido] @deprecated(reason: "Usar obtenerPedidosConexion")
     totalPedidosVendedor(estado: String): Int
+      @deprecated(reason: "Usar totalCount de obtenerPedidosConexion")
     obtenerPedidosEntregados(vendedorId: ID!): [Pedido]
 
     # Busquedas avanzadas
     buscarProducto(texto: String!): [Producto]
+    buscarProductos(
+      texto: String
+      filtro: FiltroBusquedaProductos
+    ): BusquedaProductos
 
     # Proveedor
+    obtenerProveedoresConexion(first: Int, after: String): ProveedorConexion
     obtenerProveedores: [Proveedor]
     obtenerProveedor(id: ID!): Proveedor
 
+    # Regiones y comunas
+    obtenerRegiones: [Region!]!
+    obtenerComunas(region: String): [Comuna!]!
+
     # Envío
     obtenerCostoEnvio: [CostoEnvio]
+
+    # Reportes
+    reporteVentas(
+      agrupacion: AgrupacionVentas!
+      filtro: FiltroReporteVentas
+    ): [VentasGrupo]
+
+    # Comisiones
+    resumenComisiones(
+      desde: String
+      hasta: String
+      vendedorId: ID
+    ): ResumenComisiones
+
+    # Liquidaciones
+    obtenerLiquidaciones(
+      vendedorId: ID
+      estado: EstadoLiquidacion
+    ): [Liquidacion]
+    obtenerLiquidacion(id: ID!): Liquidacion
+
+    # Inventario
+    obtenerKardex(
+      producto: ID!
+      desde: String
+      hasta: String
+    ): [MovimientoInventario]
+    existenciaEnFecha(producto: ID!, fecha: String!): Int
   }
 
   type Mutation {
@@ -259,6 +580,19 @@ const typeDefs = gql`
     nuevoUsuario(input: UsuarioInput): Usuario
     actualizarUsuario(id: ID!, input: UsuarioInput): Usuario
     autenticarUsuario(input: AutenticarInput): Token
+    refrescarToken(refreshToken: String!): Token
+    cerrarSesion(refreshToken: String!): Boolean
+    cerrarTodasLasSesiones: Boolean
+    desbloquearUsuario(id: ID!): Usuario
+    eliminarDocumento(id: ID!): String
+    cambiarEstadoUsuario(
+      id: ID!
+      estado: EstadoUsuario!
+      motivo: String
+    ): Usuario
+    cambiarPassword(passwordActual: String!, passwordNuevo: String!): Token
+    solicitarResetPassword(email: String!): Boolean
+    resetPassword(token: String!, passwordNuevo: String!): Boolean
 
     # Productos
     nuevoProducto(input: ProductoInput): Producto
@@ -267,6 +601,13 @@ const typeDefs = gql`
     insertProducts(productos: [ProductoInput!]!): [Producto!]!
     upsertProducts(productos: [ProductoInput!]!): UpsertProductsResponse!
 
+    # Inventario
+    ajustarInventario(
+      producto: ID!
+      existencia: Int!
+      motivo: String!
+    ): Producto
+
     # Clientes
     nuevoCliente(input: ClienteInput): Cliente
     actualizarCliente(id: ID!, input: ClienteInput): Cliente
@@ -274,8 +615,9 @@ const typeDefs = gql`
 
     # Pedidos
     nuevoPedido(input: PedidoInput): Pedido
-    actualizarPedido(id: ID!, input: PedidoInput): Pedido
+    actualizarPedido(id: ID!, input: PedidoInput, motivo: String): Pedido
     eliminarPedido(id: ID!): String
+    cancelarPedido(id: ID!, motivo: String!): Pedido
 
     # Proveedor
     nuevoProveedor(input: ProveedorInput): Proveedor
@@ -294,6 +636,15 @@ const typeDefs = gql`
       vendedorId: ID!
       input: ComisionHistoryInput!
     ): Usuario
+
+    # Liquidaciones
+    crearLiquidacion(
+      vendedorId: ID!
+      desde: String!
+      hasta: String!
+    ): Liquidacion
+    aprobarLiquidacion(id: ID!): Liquidacion
+    anularLiquidacion(id: ID!): Liquidacion
   }
 `;
 
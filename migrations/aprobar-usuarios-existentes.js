@@ -0,0 +1,21 @@
+// Las cuentas creadas antes del registro con aprobación quedan aprobadas.
+// El servidor lo hace solo al arrancar; este script sirve para correrlo
+// antes de desplegar: node migrations/aprobar-usuarios-existentes.js
+require("dotenv").config({ path: "variables.env" });
+const mongoose = require("mongoose");
+const conectarDB = require("../config/db");
+require("../models/Usuario");
+const { aprobarUsuariosSinEstado } = require("../utils/estadoUsuario");
+
+async function migrar() {
+  await conectarDB();
+
+  console.log(`Usuarios aprobados: ${await aprobarUsuariosSinEstado()}`);
+
+  await mongoose.disconnect();
+}
+
+migrar().catch((error) => {
+  console.log(error);
+  process.exit(1);
+});
@@ -0,0 +1,51 @@
+// Informa los productos repetidos por proveedor + código del proveedor, que
+// hay que unir o corregir a mano (pueden tener pedidos y movimientos de
+// stock asociados) antes de crear el índice único.
+// Ejecutar: node migrations/indice-sku-productos.js
+require("dotenv").config({ path: "variables.env" });
+const mongoose = require("mongoose");
+const conectarDB = require("../config/db");
+const Producto = require("../models/Producto");
+
+async function migrar() {
+  await conectarDB();
+
+  const repetidos = await Producto.aggregate([
+    {
+      $group: {
+        _id: { skuproveedor: "$skuproveedor", skuproducto: "$skuproducto" },
+        productos: {
+          $push: {
+            id: "$_id",
+            nombre: "$nombre",
+            sku: "$sku",
+            existencia: "$existencia",
+          },
+        },
+        cantidad: { $sum: 1 },
+      },
+    },
+    { $match: { cantidad: { $gt: 1 } } },
+  ]);
+  if (repetidos.length) {
+    console.log("Productos repetidos para un mismo proveedor:");
+    repetidos.forEach(({ _id, productos }) =>
+      console.log(
+        `  proveedor ${_id.skuproveedor} código ${_id.skuproducto}: ${productos
+          .map((p) => `${p.id} ${p.sku} ${p.nombre} (${p.existencia})`)
+          .join(", ")}`
+      )
+    );
+    console.log("Corrígelos y vuelve a ejecutar para crear el índice único");
+  } else {
+    await Producto.syncIndexes();
+    console.log("Índice único de código por proveedor creado");
+  }
+
+  await mongoose.disconnect();
+}
+
+migrar().catch((error) => {
+  console.log(error);
+  process.exit(1);
+});
@@ -0,0 +1,52 @@
+// Calcula el campo de búsqueda de los productos creados antes de tenerlo.
+// Ejecutar una vez: node migrations/normalizar-busqueda-productos.js
+require("dotenv").config({ path: "variables.env" });
+const mongoose = require("mongoose");
+const conectarDB = require("../config/db");
+const Producto = require("../models/Producto");
+const { normalizarTexto } = require("../utils/texto");
+
+const TAMANO_LOTE = 500;
+
+async function migrar() {
+  await conectarDB();
+  await Producto.syncIndexes();
+
+  let operaciones = [];
+  let total = 0;
+  const escribir = async () => {
+    if (operaciones.length) {
+      await Producto.bulkWrite(operaciones);
+      total += operaciones.length;
+      operaciones = [];
+    }
+  };
+
+  const cursor = Producto.find({}, "nombre sku descripcion").lean().cursor();
+  for await (const producto of cursor) {
+    operaciones.push({
+      updateOne: {
+        filter: { _id: producto._id },
+        update: {
+          $set: {
+            busqueda: normalizarTexto(
+              [producto.nombre, producto.sku, producto.descripcion].join(" ")
+            ),
+          },
+        },
+      },
+    });
+    if (operaciones.length >= TAMANO_LOTE) {
+      await escribir();
+    }
+  }
+  await escribir();
+  console.log(`Productos actualizados: ${total}`);
+
+  await mongoose.disconnect();
+}
+
+migrar().catch((error) => {
+  console.log(error);
+  process.exit(1);
+});
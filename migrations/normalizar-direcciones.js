@@ -0,0 +1,96 @@
+// Lleva comuna, provincia y región de clientes y proveedores a los nombres
+// del catálogo, reconociendo variantes de escritura ("nunoa", "Viña del Mr",
+// "Región del Bio Bio"). Informa los registros que no se pudieron asociar,
+// que quedan sin cambios para corregirlos a mano.
+// Ejecutar: node migrations/normalizar-direcciones.js
+require("dotenv").config({ path: "variables.env" });
+const mongoose = require("mongoose");
+const conectarDB = require("../config/db");
+const Cliente = require("../models/Cliente");
+const Proveedor = require("../models/Proveedor");
+const { resolverDireccion } = require("../utils/territorio");
+
+async function normalizar(Modelo) {
+  const sinAsociar = [];
+  const operaciones = [];
+
+  // Directo a la colección para no pasar por la validación del modelo
+  const cursor = Modelo.collection.find(
+    {
+      $or: [
+        { direccioncomuna: { $nin: [null, ""] } },
+        { direccionregion: { $nin: [null, ""] } },
+      ],
+    },
+    {
+      projection: {
+        nombre: 1,
+        direccioncomuna: 1,
+        direccionprovincia: 1,
+        direccionregion: 1,
+      },
+    }
+  );
+
+  for await (const documento of cursor) {
+    let direccion;
+    try {
+      direccion = resolverDireccion({
+        comuna: documento.direccioncomuna,
+        region: documento.direccionregion,
+      });
+    } catch (error) {
+      sinAsociar.push({ documento, motivo: error.message });
+      continue;
+    }
+
+    const $set = {};
+    if (direccion.comuna && direccion.comuna !== documento.direccioncomuna) {
+      $set.direccioncomuna = direccion.comuna;
+    }
+    if (
+      direccion.provincia &&
+      direccion.provincia !== documento.direccionprovincia
+    ) {
+      $set.direccionprovincia = direccion.provincia;
+    }
+    if (direccion.region && direccion.region !== documento.direccionregion) {
+      $set.direccionregion = direccion.region;
+    }
+    if (Object.keys($set).length) {
+      operaciones.push({
+        updateOne: { filter: { _id: documento._id }, update: { $set } },
+      });
+    }
+  }
+
+  if (operaciones.length) {
+    await Modelo.collection.bulkWrite(operaciones, { ordered: false });
+  }
+
+  console.log(
+    `${Modelo.modelName}: ${operaciones.length} actualizados, ${sinAsociar.length} sin asociar`
+  );
+  sinAsociar.forEach(({ documento, motivo }) =>
+    console.log(
+      `  ${documento._id} ${documento.nombre} (${
+        documento.direccioncomuna || "-"
+      }, ${documento.direccionregion || "-"}): ${motivo}`
+    )
+  );
+}
+
+async function migrar() {
+  await conectarDB();
+
+  for (const Modelo of [Cliente, Proveedor]) {
+    await normalizar(Modelo);
+  }
+
+  await mongoose.disconnect();
+}
+
+migrar().catch((error) => {
+  console.log(error);
+  process.exit(1);
+});
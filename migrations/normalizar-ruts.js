@@ -0,0 +1,99 @@
+// Deja los RUT de usuarios, clientes y proveedores como 12.345.678-9, quita
+// el campo rutdv de los clientes e informa los RUT inválidos y los clientes
+// repetidos por vendedor, que hay que corregir a mano antes de crear el
+// índice único. Ejecutar: node migrations/normalizar-ruts.js
+require("dotenv").config({ path: "variables.env" });
+const mongoose = require("mongoose");
+const conectarDB = require("../config/db");
+const Usuario = require("../models/Usuario");
+const Cliente = require("../models/Cliente");
+const Proveedor = require("../models/Proveedor");
+const { validarRUT, formatearRUT } = require("../utils/rut");
+
+async function normalizar(Modelo) {
+  const invalidos = [];
+  const operaciones = [];
+
+  // Directo a la colección: los hooks del modelo rechazarían los inválidos
+  const cursor = Modelo.collection.find(
+    { rut: { $exists: true } },
+    { projection: { rut: 1, nombre: 1 } }
+  );
+  for await (const documento of cursor) {
+    const { _id, rut, nombre } = documento;
+    if (rut === null || rut === "") {
+      operaciones.push({
+        updateOne: { filter: { _id }, update: { $unset: { rut: "" } } },
+      });
+      continue;
+    }
+    if (!validarRUT(rut)) {
+      invalidos.push({ _id: _id.toString(), nombre, rut });
+      continue;
+    }
+    const formateado = formatearRUT(rut);
+    if (formateado !== rut) {
+      operaciones.push({
+        updateOne: { filter: { _id }, update: { $set: { rut: formateado } } },
+      });
+    }
+  }
+
+  if (operaciones.length) {
+    await Modelo.collection.bulkWrite(operaciones, { ordered: false });
+  }
+  console.log(
+    `${Modelo.modelName}: ${operaciones.length} actualizados, ${invalidos.length} inválidos`
+  );
+  invalidos.forEach((d) =>
+    console.log(`  inválido ${d._id} ${d.nombre}: ${d.rut}`)
+  );
+  return invalidos;
+}
+
+async function migrar() {
+  await conectarDB();
+
+  for (const Modelo of [Usuario, Cliente, Proveedor]) {
+    await normalizar(Modelo);
+  }
+
+  const { modifiedCount } = await Cliente.collection.updateMany(
+    { rutdv: { $exists: true } },
+    { $unset: { rutdv: "" } }
+  );
+  console.log(`Clientes sin rutdv: ${modifiedCount}`);
+
+  const repetidos = await Cliente.aggregate([
+    { $match: { rut: { $type: "string" } } },
+    {
+      $group: {
+        _id: { vendedor: "$vendedor", rut: "$rut" },
+        clientes: { $push: { id: "$_id", nombre: "$nombre" } },
+        cantidad: { $sum: 1 },
+      },
+    },
+    { $match: { cantidad: { $gt: 1 } } },
+  ]);
+  if (repetidos.length) {
+    console.log("Clientes con RUT repetido en la cartera de un vendedor:");
+    repetidos.forEach(({ _id, clientes }) =>
+      console.log(
+        `  vendedor ${_id.vendedor} RUT ${_id.rut}: ${clientes
+          .map((c) => `${c.id} ${c.nombre}`)
+          .join(", ")}`
+      )
+    );
+    console.log("Corrígelos y vuelve a ejecutar para crear el índice único");
+  } else {
+    await Cliente.syncIndexes();
+    console.log("Índice único de RUT por vendedor creado");
+  }
+
+  await mongoose.disconnect();
+}
+
+migrar().catch((error) => {
+  console.log(error);
+  process.exit(1);
+});
@@ -1,10 +1,17 @@
 const mongoose = require("mongoose");
+const { pluginRUT } = require("../utils/rut");
+const { pluginDireccion } = require("../utils/territorio");
 
 const ClientesSchema = mongoose.Schema({
   rut: String,
-  rutdv: String,
   nombre: { type: String, required: true },
-  email: { type: String, required: true, unique: true },
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+  },
   telefono: { type: String, trim: true },
   creado: { type: Date, default: Date.now },
   direccioncalle: String,
@@ -20,4 +27,14 @@ const ClientesSchema = mongoose.Schema({
   },
 });
 
+ClientesSchema.plugin(pluginRUT);
+ClientesSchema.plugin(pluginDireccion);
+
+// Un vendedor no puede tener dos clientes con el mismo RUT (el RUT es
+// opcional, por eso el índice es parcial)
+ClientesSchema.index(
+  { vendedor: 1, rut: 1 },
+  { unique: true, partialFilterExpression: { rut: { $type: "string" } } }
+);
+
 module.exports = mongoose.model("Cliente", ClientesSchema);
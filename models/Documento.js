@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+const { TIPOS_DOCUMENTO } = require("../utils/documentos");
+
+// Archivo subido: carnet de un vendedor o adjunto de un pedido
+const DocumentoSchema = mongoose.Schema({
+  tipo: {
+    type: String,
+    enum: Object.keys(TIPOS_DOCUMENTO),
+    required: true,
+  },
+  nombre: { type: String, required: true }, // Nombre original del archivo
+  mimetype: { type: String, required: true },
+  tamano: { type: Number, required: true },
+  clave: { type: String, required: true }, // Ubicación en el almacenamiento
+  usuario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Usuario",
+  },
+  pedido: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Pedido",
+  },
+  subidoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Usuario",
+    required: true,
+  },
+  creado: { type: Date, default: Date.now },
+});
+
+DocumentoSchema.index({ usuario: 1, tipo: 1 });
+DocumentoSchema.index({ pedido: 1 });
+
+module.exports = mongoose.model("Documento", DocumentoSchema);
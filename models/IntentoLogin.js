@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+
+// Registro de cada intento de inicio de sesión, exitoso o no
+const IntentoLoginSchema = mongoose.Schema({
+  email: { type: String, lowercase: true, trim: true },
+  ip: String,
+  usuario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Usuario",
+  },
+  exito: { type: Boolean, required: true },
+  motivo: {
+    type: String,
+    enum: [
+      "password_incorrecto",
+      "usuario_inexistente",
+      "cuenta_bloqueada",
+      "ip_bloqueada",
+    ],
+  },
+  fecha: { type: Date, default: Date.now },
+});
+
+IntentoLoginSchema.index({ ip: 1, fecha: -1 });
+IntentoLoginSchema.index({ email: 1, fecha: -1 });
+
+module.exports = mongoose.model("IntentoLogin", IntentoLoginSchema);
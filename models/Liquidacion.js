@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+// Pedido incluido en la liquidación, con los montos al momento de crearla
+const LiquidacionPedidoSchema = new mongoose.Schema(
+  {
+    pedido: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Pedido",
+      required: true,
+    },
+    numeropedido: String,
+    subtotal: Number,
+    comision: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+const LiquidacionSchema = mongoose.Schema({
+  vendedor: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: "Usuario",
+  },
+  desde: { type: Date, required: true },
+  hasta: { type: Date, required: true },
+  pedidos: [LiquidacionPedidoSchema],
+  total: { type: Number, required: true },
+  estado: {
+    type: String,
+    enum: ["borrador", "aprobada", "anulada"],
+    default: "borrador",
+  },
+  creado: { type: Date, default: Date.now },
+  creadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Usuario",
+  },
+  aprobadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Usuario",
+  },
+  fechaAprobacion: Date,
+});
+
+module.exports = mongoose.model("Liquidacion", LiquidacionSchema);
@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+
+// Cada cambio en Producto.existencia queda registrado aquí
+const MovimientoInventarioSchema = mongoose.Schema({
+  producto: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: "Producto",
+  },
+  tipo: {
+    type: String,
+    enum: ["entrada", "salida", "ajuste"],
+    required: true,
+  },
+  cantidad: { type: Number, required: true }, // Unidades movidas, siempre positivas
+  existenciaAnterior: { type: Number, required: true },
+  existenciaNueva: { type: Number, required: true },
+  origen: {
+    type: String,
+    enum: ["pedido", "importacion", "manual"],
+    required: true,
+  },
+  pedido: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Pedido",
+  },
+  usuario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Usuario",
+  },
+  motivo: { type: String, trim: true },
+  fecha: { type: Date, default: Date.now },
+});
+
+MovimientoInventarioSchema.index({ producto: 1, fecha: -1 });
+
+module.exports = mongoose.model(
+  "MovimientoInventario",
+  MovimientoInventarioSchema
+);
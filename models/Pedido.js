@@ -1,5 +1,21 @@
 const mongoose = require("mongoose");
 const Proveedor = require("./Proveedor"); // Importar el modelo de Proveedor
+const {
+  ESTADOS_PEDIDO,
+  validarCambioEstado,
+} = require("../utils/estadoPedido");
+const { calcularComision } = require("../utils/comisiones");
+
+const HistorialEstadoSchema = new mongoose.Schema({
+  estadoAnterior: { type: String, default: null },
+  estadoNuevo: { type: String, required: true },
+  motivo: { type: String, trim: true },
+  usuario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Usuario",
+  },
+  fecha: { type: Date, default: Date.now },
+});
 
 const PedidoSchema = mongoose.Schema({
   numeropedido: {
@@ -40,6 +56,7 @@ const PedidoSchema = mongoose.Schema({
   },
   estado: {
     type: String,
+    enum: ESTADOS_PEDIDO,
     default: "Pendiente",
   },
   creado: {
@@ -51,8 +68,44 @@ const PedidoSchema = mongoose.Schema({
     default: [],
   },
   comisionPagada: { type: Boolean, default: false },
+  comisionPorcentaje: Number, // Tasa del proveedor al crear el pedido
+  comision: Number, // Monto para el vendedor, calculado en el servidor
+  liquidacion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Liquidacion",
+  },
+  historialEstados: [HistorialEstadoSchema],
+  motivoCancelacion: { type: String, trim: true },
+  fechaCancelacion: Date,
 });
 
+// Cambiar el estado validando la transición y registrarlo en el historial
+PedidoSchema.methods.cambiarEstado = function (
+  estadoNuevo,
+  { usuario, motivo } = {}
+) {
+  validarCambioEstado(this.estado, estadoNuevo);
+
+  this.historialEstados.push({
+    estadoAnterior: this.estado,
+    estadoNuevo,
+    motivo,
+    usuario,
+  });
+  this.estado = estadoNuevo;
+};
+
+// Cancelar exige un motivo y deja registrada la fecha
+PedidoSchema.methods.cancelar = function ({ usuario, motivo } = {}) {
+  if (!motivo || !motivo.trim()) {
+    throw new Error("Debes indicar el motivo de la cancelación");
+  }
+
+  this.cambiarEstado("Cancelado", { usuario, motivo });
+  this.motivoCancelacion = motivo;
+  this.fechaCancelacion = new Date();
+};
+
 // Middleware para generar el número de pedido antes de guardar
 PedidoSchema.pre("validate", async function (next) {
   if (this.isNew && !this.numeropedido) {
@@ -66,8 +119,13 @@ PedidoSchema.pre("validate", async function (next) {
         );
       }
 
+      // Usar la misma sesión del pedido si se guarda dentro de una transacción
+      const session = this.$session();
+
       // Obtener el código del proveedor desde su ID
-      const proveedor = await Proveedor.findById(this.proveedor);
+      const proveedor = await Proveedor.findById(this.proveedor).session(
+        session
+      );
       if (!proveedor) {
         throw new Error("No se encontró un proveedor con el ID proporcionado.");
       }
@@ -81,7 +139,8 @@ PedidoSchema.pre("validate", async function (next) {
       const lastPedido = await mongoose
         .model("Pedido")
         .findOne({ proveedor: this.proveedor })
-        .sort({ creado: -1 });
+        .sort({ creado: -1 })
+        .session(session);
 
       // Manejar el caso donde no hay pedidos previos para el proveedor
       const lastNumero =
@@ -102,6 +161,33 @@ PedidoSchema.pre("validate", async function (next) {
   next();
 });
 
+// Calcular la comisión con la tasa del proveedor. La tasa se guarda la
+// primera vez; una comisión ya pagada no se vuelve a calcular.
+PedidoSchema.methods.actualizarComision = async function () {
+  if (this.comisionPagada && this.comision !== undefined) {
+    return;
+  }
+
+  if (this.comisionPorcentaje === undefined) {
+    const proveedor = await Proveedor.findById(this.proveedor).session(
+      this.$session()
+    );
+    this.comisionPorcentaje = proveedor?.comision || 0;
+  }
+
+  this.comision = calcularComision(this.subtotal, this.comisionPorcentaje);
+};
+
+PedidoSchema.pre("validate", async function (next) {
+  try {
+    await this.actualizarComision();
+    next();
+  } catch (error) {
+    console.error("Error al calcular la comisión:", error);
+    next(error);
+  }
+});
+
 // Convertir ObjectId a string en la respuesta JSON
 PedidoSchema.set("toJSON", {
   transform: (doc, ret) => {
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { normalizarTexto } = require("../utils/texto");
 
 const productoSchema = mongoose.Schema({
   nombre: { type: String, required: true },
@@ -10,6 +11,46 @@ const productoSchema = mongoose.Schema({
   skuproducto: { type: String, required: true },
   sku: { type: String, required: true, unique: true },
   descripcion: { type: String },
+  // nombre, sku y descripción normalizados para buscar sin tildes
+  busqueda: { type: String, select: false },
+});
+
+const CAMPOS_BUSQUEDA = ["nombre", "sku", "descripcion"];
+
+const textoBusqueda = (producto) =>
+  normalizarTexto(CAMPOS_BUSQUEDA.map((campo) => producto[campo]).join(" "));
+
+// Un solo índice de texto por colección: pesa más el nombre que el resto
+productoSchema.index(
+  { nombre: "text", sku: "text", descripcion: "text", busqueda: "text" },
+  {
+    name: "busqueda_texto",
+    default_language: "spanish",
+    weights: { nombre: 10, sku: 8, busqueda: 3, descripcion: 1 },
+  }
+);
+productoSchema.index({ skuproveedor: 1, precio: 1 });
+// Un producto se identifica por proveedor + código del proveedor. Con datos
+// existentes, crear el índice con migrations/indice-sku-productos.js
+productoSchema.index({ skuproveedor: 1, skuproducto: 1 }, { unique: true });
+
+// validate también corre en insertMany, a diferencia de save
+productoSchema.pre("validate", function (next) {
+  this.busqueda = textoBusqueda(this);
+  next();
+});
+
+// En updates parciales se combina el documento actual con los cambios
+productoSchema.pre(["findOneAndUpdate", "updateOne"], async function () {
+  const update = this.getUpdate() || {};
+  const cambios = { ...update, ...update.$set };
+  if (!CAMPOS_BUSQUEDA.some((campo) => campo in cambios)) {
+    return;
+  }
+
+  const actual = await this.model.findOne(this.getFilter()).lean();
+  const busqueda = textoBusqueda({ ...actual, ...cambios });
+  this.setUpdate({ ...update, $set: { ...update.$set, busqueda } });
 });
 // Hook 'pre-save' para generar el SKU antes de guardar el documento
 productoSchema.pre("save", function (next) {
@@ -24,6 +65,9 @@ productoSchema.pre("save", function (next) {
   next();
 });
 
+// Para escrituras que no pasan por los hooks (bulkWrite)
+productoSchema.statics.textoBusqueda = textoBusqueda;
+
 // Crear el modelo Producto a partir del esquema
 const Producto = mongoose.model("Producto", productoSchema);
 
@@ -1,4 +1,6 @@
 const mongoose = require("mongoose");
+const { pluginRUT } = require("../utils/rut");
+const { pluginDireccion } = require("../utils/territorio");
 
 const ProveedorSchema = mongoose.Schema({
   rut: String,
@@ -11,9 +13,13 @@ const ProveedorSchema = mongoose.Schema({
   direcciondepto: String,
   direccioncomuna: String,
   direccionregion: String,
+  direccionprovincia: String,
   comision: { type: Number, required: true },
   codigo: String,
   estado: { type: Boolean, default: true },
 });
 
+ProveedorSchema.plugin(pluginRUT);
+ProveedorSchema.plugin(pluginDireccion);
+
 module.exports = mongoose.model("Proveedor", ProveedorSchema);
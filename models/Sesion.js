@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+// Sesión iniciada con autenticarUsuario. Solo se guarda el hash del
+// refresh token; cada refresco revoca la sesión y crea una nueva.
+const SesionSchema = mongoose.Schema({
+  usuario: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: "Usuario",
+  },
+  tokenHash: { type: String, required: true, unique: true },
+  expira: { type: Date, required: true },
+  creado: { type: Date, default: Date.now },
+  revocada: { type: Date, default: null },
+  reemplazadaPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Sesion",
+  },
+});
+
+SesionSchema.index({ usuario: 1 });
+// Mongo borra las sesiones vencidas
+SesionSchema.index({ expira: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("Sesion", SesionSchema);
@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
-const validateRUT = require("../utils/validateRUT");
+const { pluginRUT } = require("../utils/rut");
+const { ESTADOS_USUARIO } = require("../utils/estadoUsuario");
 
 const ComisionHistorySchema = new mongoose.Schema({
   pedidoId: {
@@ -17,10 +18,6 @@ const UsuarioSchema = mongoose.Schema({
     type: String,
     required: true,
     unique: true,
-    validate: {
-      validator: validateRUT,
-      message: (props) => `${props.value} no es un RUT válido`,
-    },
   },
   nombre: { type: String, required: true },
   ndocumento: String,
@@ -38,38 +35,33 @@ const UsuarioSchema = mongoose.Schema({
   cuentabancotipocuenta: String,
   carnetfrente: String,
   carnetreverso: String,
-  password: { type: String, required: true },
+  password: { type: String, required: true, select: false },
   role: {
     type: String,
     enum: ["vendedor", "administrador"], // Valores permitidos
     default: "vendedor", // Valor predeterminado
   },
   comisionHistory: [ComisionHistorySchema],
+  estado: {
+    type: String,
+    enum: ESTADOS_USUARIO,
+    default: "pendiente", // Un administrador debe aprobar la cuenta
+  },
+  motivoEstado: String,
+  revisadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Usuario",
+  },
+  fechaRevision: Date,
+  // Sube cuando cambian el rol o el password para invalidar tokens emitidos
+  tokenVersion: { type: Number, default: 0 },
+  resetPasswordHash: { type: String, select: false },
+  resetPasswordExpira: Date,
+  intentosFallidos: { type: Number, default: 0 },
+  bloqueadoHasta: Date,
 });
 
-UsuarioSchema.pre("save", function (next) {
-  if (this.rut) {
-    // Format RUT as 12.345.678-9 or 1.234.567-8
-    const cleanedRUT = this.rut.replace(/[^0-9kK]/g, "").replace(/\s/g, "");
-    const number = cleanedRUT.slice(0, -1);
-    const dv = cleanedRUT.slice(-1).toUpperCase();
-
-    let formattedNumber = "";
-    if (number.length <= 7) {
-      formattedNumber = `${number.slice(0, 1)}.${number.slice(
-        1,
-        4
-      )}.${number.slice(4, 7)}`;
-    } else {
-      formattedNumber = `${number.slice(0, 2)}.${number.slice(
-        2,
-        5
-      )}.${number.slice(5, 8)}`;
-    }
-
-    this.rut = `${formattedNumber}-${dv}`;
-  }
-  next();
-});
+// Valida el RUT y lo guarda como 12.345.678-9
+UsuarioSchema.plugin(pluginRUT);
 
 module.exports = mongoose.model("Usuario", UsuarioSchema);
@@ -0,0 +1,88 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { usarMongo, SIN_MONGO } = require("./helpers/mongo");
+const resolvers = require("../db/resolvers");
+const Pedido = require("../models/Pedido");
+const Producto = require("../models/Producto");
+const {
+  crearVendedor,
+  crearAdministrador,
+  crearProveedor,
+  crearCliente,
+  crearProducto,
+  insertarPedido,
+  contextoDe,
+} = require("./helpers/datos");
+
+const { actualizarPedido } = resolvers.Mutation;
+
+describe("editar un pedido antiguo sin precios guardados", () => {
+  const mongo = usarMongo();
+  let ctx;
+  let producto;
+  let pedidoId;
+
+  beforeEach(async () => {
+    if (mongo.omitido) return;
+    const vendedor = await crearVendedor();
+    ctx = contextoDe(await crearAdministrador());
+    const proveedor = await crearProveedor();
+    const cliente = await crearCliente(vendedor);
+    producto = await crearProducto({ precio: 1000 });
+
+    // Vendido a 1000; después el producto subió a 1500
+    pedidoId = await insertarPedido({
+      vendedor,
+      proveedor,
+      cliente: cliente._id,
+      estado: "Pendiente",
+      pedido: [{ id: producto.id, cantidad: 2 }],
+      subtotal: 2000,
+      total: 2000,
+    });
+    await Producto.updateOne({ _id: producto._id }, { precio: 1500 });
+  });
+
+  it("mantiene el total aunque cambie el precio del producto", async (t) => {
+    if (mongo.omitido) return t.skip(SIN_MONGO);
+
+    await actualizarPedido(
+      null,
+      {
+        id: pedidoId.toString(),
+        input: {
+          notas: ["Entregar en la tarde"],
+          envio: 0,
+          pedido: [{ id: producto.id, cantidad: 2 }],
+        },
+      },
+      ctx
+    );
+
+    const pedido = await Pedido.findById(pedidoId);
+    assert.equal(pedido.subtotal, 2000);
+    assert.equal(pedido.total, 2000);
+    assert.equal(pedido.pedido[0].precio, undefined);
+    assert.deepEqual([...pedido.notas], ["Entregar en la tarde"]);
+  });
+
+  it("no permite cambiar la cantidad de una línea sin precio", async (t) => {
+    if (mongo.omitido) return t.skip(SIN_MONGO);
+
+    await assert.rejects(
+      actualizarPedido(
+        null,
+        {
+          id: pedidoId.toString(),
+          input: { envio: 0, pedido: [{ id: producto.id, cantidad: 3 }] },
+        },
+        ctx
+      ),
+      /no tiene guardado su precio de venta/
+    );
+
+    const pedido = await Pedido.findById(pedidoId);
+    assert.equal(pedido.subtotal, 2000);
+    assert.equal((await Producto.findById(producto._id)).existencia, 10);
+  });
+});
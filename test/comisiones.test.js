@@ -0,0 +1,52 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { usarMongo, SIN_MONGO } = require("./helpers/mongo");
+const resolvers = require("../db/resolvers");
+const {
+  crearVendedor,
+  crearProveedor,
+  insertarPedido,
+  contextoDe,
+} = require("./helpers/datos");
+
+describe("resumen de comisiones por rango de fechas", () => {
+  const mongo = usarMongo();
+  let vendedor;
+
+  beforeEach(async () => {
+    if (mongo.omitido) return;
+    vendedor = await crearVendedor();
+    const proveedor = await crearProveedor();
+
+    for (const creado of [
+      "2023-12-31T23:30:00-03:00",
+      "2024-01-01T00:30:00-03:00",
+      "2024-01-31T16:30:00-03:00",
+      "2024-01-31T23:30:00-03:00",
+      "2024-02-01T00:30:00-03:00",
+    ]) {
+      await insertarPedido({
+        vendedor,
+        proveedor,
+        comision: 100,
+        creado: new Date(creado),
+      });
+    }
+  });
+
+  it("incluye completo el último día, en horario de Santiago", async (t) => {
+    if (mongo.omitido) return t.skip(SIN_MONGO);
+
+    const resumen = await resolvers.Query.resumenComisiones(
+      null,
+      { desde: "2024-01-01", hasta: "2024-01-31" },
+      contextoDe(vendedor)
+    );
+
+    assert.equal(resumen.devengado, 300);
+    assert.deepEqual(
+      resumen.porMes.map(({ mes, devengado }) => ({ mes, devengado })),
+      [{ mes: "2024-01", devengado: 300 }]
+    );
+  });
+});
@@ -0,0 +1,74 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { usarMongo, SIN_MONGO } = require("./helpers/mongo");
+const resolvers = require("../db/resolvers");
+const Pedido = require("../models/Pedido");
+const Producto = require("../models/Producto");
+const Documento = require("../models/Documento");
+const { configurarAlmacenamiento } = require("../utils/almacenamiento");
+const {
+  crearVendedor,
+  crearProveedor,
+  crearCliente,
+  crearProducto,
+  contextoDe,
+} = require("./helpers/datos");
+
+const { nuevoPedido, eliminarPedido } = resolvers.Mutation;
+
+describe("eliminar un pedido", () => {
+  const mongo = usarMongo();
+  let ctx;
+  let producto;
+  let pedido;
+
+  beforeEach(async () => {
+    if (mongo.omitido) return;
+    const vendedor = await crearVendedor();
+    ctx = contextoDe(vendedor);
+    const proveedor = await crearProveedor();
+    const cliente = await crearCliente(vendedor);
+    producto = await crearProducto({ existencia: 5 });
+
+    pedido = await nuevoPedido(
+      null,
+      {
+        input: {
+          cliente: cliente.id,
+          proveedor: proveedor.id,
+          pedido: [{ id: producto.id, cantidad: 2 }],
+        },
+      },
+      ctx
+    );
+    await Documento.create({
+      tipo: "comprobante",
+      nombre: "comprobante.pdf",
+      mimetype: "application/pdf",
+      tamano: 10,
+      clave: "pedidos/comprobante.pdf",
+      pedido: pedido._id,
+      subidoPor: vendedor._id,
+    });
+  });
+
+  afterEach(() => configurarAlmacenamiento(null));
+
+  it("confirma la eliminación aunque falle el borrado de adjuntos", async (t) => {
+    if (mongo.omitido) return t.skip(SIN_MONGO);
+
+    configurarAlmacenamiento({
+      eliminar: async () => {
+        throw new Error("Almacenamiento no disponible");
+      },
+    });
+    t.mock.method(console, "error", () => {});
+
+    assert.equal(
+      await eliminarPedido(null, { id: pedido.id }, ctx),
+      "Pedido eliminado"
+    );
+    assert.equal(await Pedido.exists({ _id: pedido._id }), null);
+    assert.equal((await Producto.findById(producto._id)).existencia, 5);
+  });
+});
@@ -0,0 +1,51 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { configurarTransporte, enviarCorreo } = require("../utils/email");
+
+const mensaje = {
+  para: "vendedor@test.cl",
+  asunto: "Recuperar password de Six Bridge",
+  texto: "token-secreto",
+};
+
+describe("transporte de correo por defecto", () => {
+  const entorno = { ...process.env };
+
+  beforeEach(() => {
+    configurarTransporte(null);
+    delete process.env.NODE_ENV;
+    delete process.env.EMAIL_CONSOLA;
+  });
+
+  afterEach(() => {
+    process.env = { ...entorno };
+  });
+
+  it("rechaza enviar fuera de desarrollo y no escribe el token", async (t) => {
+    const log = t.mock.method(console, "log", () => {});
+    process.env.NODE_ENV = "production";
+
+    await assert.rejects(enviarCorreo(mensaje), /No hay transporte de correo/);
+    assert.equal(log.mock.callCount(), 0);
+  });
+
+  it("escribe en consola en desarrollo o con EMAIL_CONSOLA", async (t) => {
+    const log = t.mock.method(console, "log", () => {});
+
+    process.env.NODE_ENV = "development";
+    await enviarCorreo(mensaje);
+    delete process.env.NODE_ENV;
+    process.env.EMAIL_CONSOLA = "true";
+    await enviarCorreo(mensaje);
+
+    assert.equal(log.mock.callCount(), 2);
+  });
+
+  it("usa el transporte configurado", async () => {
+    const enviados = [];
+    configurarTransporte(async (correo) => enviados.push(correo));
+
+    await enviarCorreo(mensaje);
+    assert.deepEqual(enviados, [mensaje]);
+  });
+});
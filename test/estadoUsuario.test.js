@@ -0,0 +1,31 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { usarMongo, SIN_MONGO } = require("./helpers/mongo");
+const Usuario = require("../models/Usuario");
+const { aprobarUsuariosSinEstado } = require("../utils/estadoUsuario");
+const { crearAdministrador, crearVendedor } = require("./helpers/datos");
+
+describe("cuentas anteriores al registro con aprobación", () => {
+  const mongo = usarMongo();
+
+  it("aprueba las cuentas sin estado y respeta las pendientes", async (t) => {
+    if (mongo.omitido) return t.skip(SIN_MONGO);
+    const administrador = await crearAdministrador();
+    const pendiente = await crearVendedor({ estado: "pendiente" });
+    await Usuario.collection.updateOne(
+      { _id: administrador._id },
+      { $unset: { estado: "" } }
+    );
+
+    // Sin estado guardado, Mongoose lo lee como pendiente
+    assert.equal(
+      (await Usuario.findById(administrador.id)).estado,
+      "pendiente"
+    );
+
+    assert.equal(await aprobarUsuariosSinEstado(), 1);
+    assert.equal((await Usuario.findById(administrador.id)).estado, "aprobado");
+    assert.equal((await Usuario.findById(pendiente.id)).estado, "pendiente");
+    assert.equal(await aprobarUsuariosSinEstado(), 0);
+  });
+});
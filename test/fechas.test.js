@@ -0,0 +1,83 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parsearFecha,
+  parsearFechaHasta,
+  formatearFecha,
+} = require("../utils/fechas");
+
+const iso = (fecha) => fecha.toISOString();
+
+describe("fechas en horario de Santiago", () => {
+  it("una fecha sin hora empieza a medianoche de Santiago", () => {
+    // Verano (UTC-3) e invierno (UTC-4)
+    assert.equal(iso(parsearFecha("2024-01-31")), "2024-01-31T03:00:00.000Z");
+    assert.equal(iso(parsearFecha("2024-06-15")), "2024-06-15T04:00:00.000Z");
+  });
+
+  it("como límite superior incluye el día completo", () => {
+    assert.equal(
+      iso(parsearFechaHasta("2024-01-31")),
+      "2024-02-01T02:59:59.999Z"
+    );
+    assert.equal(
+      iso(parsearFechaHasta("2024-06-15")),
+      "2024-06-16T03:59:59.999Z"
+    );
+    assert.equal(
+      iso(parsearFechaHasta("2024-12-31")),
+      "2025-01-01T02:59:59.999Z"
+    );
+
+    // Un pedido de la tarde del último día queda dentro del rango
+    const tarde = new Date("2024-01-31T18:30:00.000Z");
+    assert.ok(tarde <= parsearFechaHasta("2024-01-31"));
+    assert.ok(tarde >= parsearFecha("2024-01-31"));
+  });
+
+  it("respeta los días con cambio de horario", () => {
+    // 2024-09-08: el reloj salta de 00:00 a 01:00
+    assert.equal(iso(parsearFecha("2024-09-08")), "2024-09-08T04:00:00.000Z");
+    assert.equal(
+      iso(parsearFechaHasta("2024-09-07")),
+      "2024-09-08T03:59:59.999Z"
+    );
+    // 2024-04-07: a medianoche el reloj vuelve a las 23:00 del día anterior
+    assert.equal(iso(parsearFecha("2024-04-07")), "2024-04-07T04:00:00.000Z");
+    assert.equal(
+      iso(parsearFechaHasta("2024-04-06")),
+      "2024-04-07T03:59:59.999Z"
+    );
+  });
+
+  it("deja igual las fechas con hora y los milisegundos", () => {
+    assert.equal(
+      iso(parsearFechaHasta("2024-01-31T15:00:00Z")),
+      "2024-01-31T15:00:00.000Z"
+    );
+    assert.equal(
+      iso(parsearFecha("1738281600000")),
+      "2025-01-31T00:00:00.000Z"
+    );
+    assert.equal(parsearFecha(""), undefined);
+    assert.equal(parsearFechaHasta(undefined), undefined);
+  });
+
+  it("rechaza fechas que no existen", () => {
+    assert.throws(() => parsearFecha("2024-02-30", "desde"), {
+      message: "El campo desde no es una fecha válida",
+    });
+    assert.throws(() => parsearFechaHasta("ayer"), {
+      message: "El campo hasta no es una fecha válida",
+    });
+  });
+
+  it("muestra el día de Santiago", () => {
+    assert.equal(formatearFecha(parsearFechaHasta("2024-01-31")), "2024-01-31");
+    assert.equal(
+      formatearFecha(new Date("2024-02-01T01:00:00Z")),
+      "2024-01-31"
+    );
+    assert.equal(formatearFecha(null), "");
+  });
+});
@@ -0,0 +1,60 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  construirFiltroPedidos,
+  filtroDesdeQuery,
+} = require("../utils/filtroPedidos");
+
+const administrador = { id: "1", role: "administrador" };
+
+describe("filtro de pedidos", () => {
+  it("incluye completo el día de hasta, en horario de Santiago", () => {
+    const { creado } = construirFiltroPedidos(
+      { desde: "2024-01-01", hasta: "2024-01-31" },
+      administrador
+    );
+
+    assert.equal(creado.$gte.toISOString(), "2024-01-01T03:00:00.000Z");
+    assert.equal(creado.$lte.toISOString(), "2024-02-01T02:59:59.999Z");
+    // Un pedido de la tarde del último día
+    assert.ok(new Date("2024-01-31T16:30:00-03:00") <= creado.$lte);
+  });
+
+  it("permite desde y hasta el mismo día", () => {
+    const { creado } = construirFiltroPedidos(
+      { desde: "2024-01-31", hasta: "2024-01-31" },
+      administrador
+    );
+    assert.ok(creado.$gte < creado.$lte);
+  });
+});
+
+describe("filtro de la exportación desde la URL", () => {
+  it("acepta ids y fechas válidos", () => {
+    const { filtro } = filtroDesdeQuery({
+      desde: "2024-01-01",
+      hasta: "2024-01-31",
+      vendedor: "64b000000000000000000001",
+    });
+    assert.equal(filtro.vendedor, "64b000000000000000000001");
+    assert.equal(filtro.hasta, "2024-01-31");
+  });
+
+  for (const [params, mensaje] of [
+    [{ vendedor: "123" }, "El campo vendedor no es un id válido"],
+    [
+      { cliente: "zzzzzzzzzzzzzzzzzzzzzzzz" },
+      "El campo cliente no es un id válido",
+    ],
+    [
+      { proveedor: ["64b000000000000000000001"] },
+      "El campo proveedor no es un id válido",
+    ],
+    [{ desde: "2024-13-01" }, "El campo desde no es una fecha válida"],
+    [{ hasta: "ayer" }, "El campo hasta no es una fecha válida"],
+  ]) {
+    it(`rechaza ${JSON.stringify(params)} antes de exportar`, () => {
+      assert.throws(() => filtroDesdeQuery(params), { message: mensaje });
+    });
+  }
+});
@@ -0,0 +1,93 @@
+const mongoose = require("mongoose");
+const { calcularDV } = require("../../utils/rut");
+const Usuario = require("../../models/Usuario");
+const Proveedor = require("../../models/Proveedor");
+const Cliente = require("../../models/Cliente");
+const Producto = require("../../models/Producto");
+const Pedido = require("../../models/Pedido");
+
+// Datos base para las pruebas con MongoDB. Cada función acepta campos
+// para reemplazar los valores por defecto.
+let secuencia = 0;
+
+const crearVendedor = (datos = {}) => {
+  const numero = String(10000000 + ++secuencia);
+  return Usuario.create({
+    rut: `${numero}-${calcularDV(numero)}`,
+    nombre: "Vendedor",
+    email: `usuario${secuencia}@test.cl`,
+    password: "hash",
+    estado: "aprobado",
+    ...datos,
+  });
+};
+
+const crearAdministrador = (datos = {}) =>
+  crearVendedor({ nombre: "Administrador", role: "administrador", ...datos });
+
+const crearProveedor = (datos = {}) =>
+  Proveedor.create({
+    nombre: "Proveedor",
+    email: `proveedor${++secuencia}@test.cl`,
+    comision: 10,
+    codigo: "PRV",
+    ...datos,
+  });
+
+const crearCliente = (vendedor, datos = {}) =>
+  Cliente.create({
+    nombre: "Cliente",
+    email: `cliente${++secuencia}@test.cl`,
+    vendedor: vendedor._id,
+    ...datos,
+  });
+
+const crearProducto = (datos = {}) =>
+  Producto.create({
+    nombre: "Producto",
+    existencia: 10,
+    precio: 1000,
+    costo: 500,
+    skuproveedor: "PRV",
+    skuproducto: String(++secuencia).padStart(3, "0"),
+    ...datos,
+  });
+
+// Pedido insertado sin pasar por los hooks del modelo (sin número ni
+// comisión calculados), como quedaron los pedidos antiguos
+const insertarPedido = async ({ vendedor, proveedor, ...datos }) => {
+  const _id = new mongoose.Types.ObjectId();
+  await Pedido.collection.insertOne({
+    _id,
+    numeropedido: `PRV-${String(++secuencia).padStart(5, "0")}`,
+    pedido: [],
+    subtotal: 10000,
+    envio: 0,
+    total: 10000,
+    cliente: new mongoose.Types.ObjectId(),
+    vendedor: vendedor._id,
+    proveedor: proveedor._id,
+    estado: "Entregado",
+    comisionPagada: false,
+    creado: new Date(),
+    historialEstados: [],
+    notas: [],
+    ...datos,
+  });
+  return _id;
+};
+
+// Contexto de GraphQL con el usuario autenticado
+const contextoDe = (usuario) => ({
+  usuario: { id: usuario.id, role: usuario.role, estado: usuario.estado },
+});
+
+module.exports = {
+  crearVendedor,
+  crearAdministrador,
+  crearProveedor,
+  crearCliente,
+  crearProducto,
+  insertarPedido,
+  contextoDe,
+};
@@ -0,0 +1,49 @@
+const { before, after, beforeEach } = require("node:test");
+const mongoose = require("mongoose");
+const { MongoMemoryReplSet } = require("mongodb-memory-server");
+
+// Las pruebas con base de datos fallan si MongoDB no arranca. Solo se
+// omiten pidiéndolo explícitamente con OMITIR_PRUEBAS_MONGO=1.
+const OMITIR = process.env.OMITIR_PRUEBAS_MONGO === "1";
+const SIN_MONGO = "Pruebas con MongoDB omitidas (OMITIR_PRUEBAS_MONGO=1)";
+
+// Las transacciones necesitan un replica set, aunque sea de un solo nodo
+let replSet;
+
+const iniciarMongo = async () => {
+  replSet = await MongoMemoryReplSet.create({
+    replSet: { count: 1, storageEngine: "wiredTiger" },
+  });
+  await mongoose.connect(replSet.getUri());
+  // Crear índices antes de las pruebas para que los únicos apliquen
+  await Promise.all(
+    mongoose.modelNames().map((nombre) => mongoose.model(nombre).init())
+  );
+};
+
+const detenerMongo = async () => {
+  await mongoose.disconnect();
+  if (replSet) await replSet.stop();
+};
+
+const limpiarMongo = async () => {
+  const colecciones = Object.values(mongoose.connection.collections);
+  await Promise.all(colecciones.map((coleccion) => coleccion.deleteMany({})));
+};
+
+// Registra los hooks de la suite: levanta MongoDB, lo vacía antes de cada
+// prueba y lo detiene al final. Cada prueba empieza con
+// `if (mongo.omitido) return t.skip(SIN_MONGO);`
+function usarMongo() {
+  const mongo = { omitido: OMITIR };
+  if (OMITIR) {
+    return mongo;
+  }
+
+  before(iniciarMongo);
+  after(detenerMongo);
+  beforeEach(limpiarMongo);
+  return mongo;
+}
+
+module.exports = { usarMongo, SIN_MONGO };
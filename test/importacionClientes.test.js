@@ -0,0 +1,40 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { usarMongo, SIN_MONGO } = require("./helpers/mongo");
+const { importarClientes } = require("../utils/importacionClientes");
+const Cliente = require("../models/Cliente");
+
+describe("importación de clientes", () => {
+  const mongo = usarMongo();
+  const vendedor = new mongoose.Types.ObjectId();
+
+  it("detecta emails existentes sin importar mayúsculas", async (t) => {
+    if (mongo.omitido) return t.skip(SIN_MONGO);
+
+    // Cliente antiguo, guardado antes de normalizar el email
+    await Cliente.collection.insertOne({
+      nombre: "Antiguo",
+      email: "Cliente@Test.cl",
+      vendedor: new mongoose.Types.ObjectId(),
+    });
+
+    const reporte = await importarClientes(
+      [
+        { nombre: "Repetido", email: "CLIENTE@test.cl" },
+        { nombre: "Nuevo", email: "Nuevo@Test.cl" },
+      ],
+      { vendedor }
+    );
+
+    assert.equal(reporte.creados, 1);
+    assert.deepEqual(reporte.errores, [
+      {
+        fila: 2,
+        email: "cliente@test.cl",
+        mensaje: "Ya existe un cliente con el email cliente@test.cl",
+      },
+    ]);
+    assert.ok(await Cliente.exists({ email: "nuevo@test.cl" }));
+  });
+});
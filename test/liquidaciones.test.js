@@ -0,0 +1,120 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { usarMongo, SIN_MONGO } = require("./helpers/mongo");
+const {
+  crearLiquidacion,
+  aprobarLiquidacion,
+} = require("../utils/liquidaciones");
+const resolvers = require("../db/resolvers");
+const Usuario = require("../models/Usuario");
+const {
+  crearVendedor,
+  crearAdministrador,
+  crearProveedor,
+  insertarPedido,
+  contextoDe,
+} = require("./helpers/datos");
+const Pedido = require("../models/Pedido");
+const Liquidacion = require("../models/Liquidacion");
+
+describe("liquidaciones con pedidos sin comisión guardada", () => {
+  const mongo = usarMongo();
+  let vendedor;
+  let admin;
+  let proveedor;
+
+  beforeEach(async () => {
+    if (mongo.omitido) return;
+    vendedor = await crearVendedor();
+    admin = await crearAdministrador();
+    proveedor = await crearProveedor();
+  });
+
+  const insertarPedidoAntiguo = (datos = {}) =>
+    insertarPedido({
+      vendedor,
+      proveedor,
+      numeropedido: "PRV-00001",
+      creado: new Date("2024-01-15"),
+      ...datos,
+    });
+
+  it("crear y aprobar paga la comisión del pedido", async (t) => {
+    if (mongo.omitido) return t.skip(SIN_MONGO);
+
+    const pedidoId = await insertarPedidoAntiguo();
+
+    const liquidacion = await crearLiquidacion({
+      vendedorId: vendedor._id,
+      desde: new Date("2024-01-01"),
+      hasta: new Date("2024-01-31"),
+      creadoPor: admin._id,
+    });
+    assert.equal(liquidacion.total, 1000);
+
+    const guardado = await Pedido.findById(pedidoId);
+    assert.equal(guardado.comision, 1000);
+    assert.equal(guardado.comisionPorcentaje, 10);
+    assert.ok(guardado.liquidacion.equals(liquidacion._id));
+
+    const aprobada = await aprobarLiquidacion(liquidacion._id, admin.id);
+    assert.equal(aprobada.estado, "aprobada");
+
+    const pagado = await Pedido.findById(pedidoId);
+    assert.equal(pagado.comisionPagada, true);
+    const { comisionHistory } = await Usuario.findById(vendedor._id);
+    assert.equal(comisionHistory.length, 1);
+    assert.equal(comisionHistory[0].monto, 1000);
+  });
+
+  it("aprueba liquidaciones creadas sin persistir la comisión", async (t) => {
+    if (mongo.omitido) return t.skip(SIN_MONGO);
+
+    const liquidacionId = new mongoose.Types.ObjectId();
+    const pedidoId = await insertarPedidoAntiguo({
+      liquidacion: liquidacionId,
+    });
+    await Liquidacion.create({
+      _id: liquidacionId,
+      vendedor: vendedor._id,
+      desde: new Date("2024-01-01"),
+      hasta: new Date("2024-01-31"),
+      pedidos: [
+        { pedido: pedidoId, numeropedido: "PRV-00001", comision: 1000 },
+      ],
+      total: 1000,
+      creadoPor: admin._id,
+    });
+
+    const aprobada = await aprobarLiquidacion(liquidacionId, admin.id);
+    assert.equal(aprobada.estado, "aprobada");
+    assert.equal((await Pedido.findById(pedidoId)).comisionPagada, true);
+  });
+
+  it("el período incluye completo el último día, en horario de Santiago", async (t) => {
+    if (mongo.omitido) return t.skip(SIN_MONGO);
+
+    const creados = {
+      "PRV-00001": "2023-12-31T23:00:00-03:00", // día anterior al período
+      "PRV-00002": "2024-01-01T00:30:00-03:00",
+      "PRV-00003": "2024-01-31T16:30:00-03:00", // tarde del último día
+      "PRV-00004": "2024-01-31T23:30:00-03:00",
+      "PRV-00005": "2024-02-01T00:30:00-03:00", // día siguiente
+    };
+    for (const [numeropedido, creado] of Object.entries(creados)) {
+      await insertarPedidoAntiguo({ numeropedido, creado: new Date(creado) });
+    }
+
+    const liquidacion = await resolvers.Mutation.crearLiquidacion(
+      null,
+      { vendedorId: vendedor.id, desde: "2024-01-01", hasta: "2024-01-31" },
+      contextoDe(admin)
+    );
+
+    assert.deepEqual(
+      liquidacion.pedidos.map(({ numeropedido }) => numeropedido),
+      ["PRV-00002", "PRV-00003", "PRV-00004"]
+    );
+  });
+});
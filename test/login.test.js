@@ -0,0 +1,46 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const bcryptjs = require("bcryptjs");
+const { usarMongo, SIN_MONGO } = require("./helpers/mongo");
+const { verificarCredenciales } = require("../utils/login");
+const { crearVendedor } = require("./helpers/datos");
+
+// Respuestas de una serie de intentos con password incorrecto
+const intentar = async (email, veces) => {
+  const mensajes = [];
+  for (let i = 0; i < veces; i++) {
+    try {
+      await verificarCredenciales({ email, password: "incorrecto" });
+      mensajes.push("ok");
+    } catch (error) {
+      mensajes.push(error.message);
+    }
+  }
+  return mensajes;
+};
+
+describe("bloqueo de login", () => {
+  const mongo = usarMongo();
+
+  beforeEach(async () => {
+    if (mongo.omitido) return;
+    await crearVendedor({
+      email: "vendedor@test.cl",
+      password: await bcryptjs.hash("correcto", 4),
+    });
+  });
+
+  it("un email sin cuenta se bloquea igual que uno registrado", async (t) => {
+    if (mongo.omitido) return t.skip(SIN_MONGO);
+
+    const registrado = await intentar("vendedor@test.cl", 7);
+    const inexistente = await intentar("nadie@test.cl", 7);
+
+    assert.deepEqual(inexistente, registrado);
+    assert.equal(registrado[4], "Email o password incorrectos");
+    assert.equal(
+      registrado[5],
+      "Demasiados intentos fallidos, intenta más tarde"
+    );
+  });
+});
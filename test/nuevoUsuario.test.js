@@ -0,0 +1,24 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const resolvers = require("../db/resolvers");
+const Usuario = require("../models/Usuario");
+
+const { nuevoUsuario } = resolvers.Mutation;
+
+describe("registro de usuarios", () => {
+  for (const password of ["", "corta", "1234567"]) {
+    it(`rechaza el password "${password}" antes de consultar la base`, async (t) => {
+      const buscar = t.mock.method(Usuario, "findOne");
+
+      await assert.rejects(
+        nuevoUsuario(
+          null,
+          { input: { nombre: "Nuevo", email: "nuevo@test.cl", password } },
+          {}
+        ),
+        { message: "El password debe tener al menos 8 caracteres" }
+      );
+      assert.equal(buscar.mock.callCount(), 0);
+    });
+  }
+});
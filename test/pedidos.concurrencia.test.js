@@ -0,0 +1,100 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { usarMongo, SIN_MONGO } = require("./helpers/mongo");
+const resolvers = require("../db/resolvers");
+const {
+  crearVendedor,
+  crearProveedor,
+  crearCliente,
+  crearProducto,
+  contextoDe,
+} = require("./helpers/datos");
+const Producto = require("../models/Producto");
+const Pedido = require("../models/Pedido");
+const MovimientoInventario = require("../models/MovimientoInventario");
+
+const { nuevoPedido } = resolvers.Mutation;
+
+describe("nuevoPedido en paralelo", () => {
+  const mongo = usarMongo();
+  let ctx;
+  let cliente;
+  let proveedor;
+
+  beforeEach(async () => {
+    if (mongo.omitido) return;
+    const vendedor = await crearVendedor();
+    ctx = contextoDe(vendedor);
+    proveedor = await crearProveedor();
+    cliente = await crearCliente(vendedor);
+  });
+
+  const pedir = (lineas) =>
+    nuevoPedido(
+      null,
+      {
+        input: {
+          cliente: cliente.id,
+          proveedor: proveedor.id,
+          pedido: lineas,
+        },
+      },
+      ctx
+    );
+
+  it("solo se confirman tantos pedidos como existencia haya", async (t) => {
+    if (mongo.omitido) return t.skip(SIN_MONGO);
+
+    const existencia = 3;
+    const intentos = 8;
+    const producto = await crearProducto({ existencia });
+
+    const resultados = await Promise.allSettled(
+      Array.from({ length: intentos }, () =>
+        pedir([{ id: producto.id, cantidad: 1 }])
+      )
+    );
+
+    const exitos = resultados.filter((r) => r.status === "fulfilled");
+    const fallos = resultados.filter((r) => r.status === "rejected");
+    assert.equal(exitos.length, existencia);
+    for (const fallo of fallos) {
+      assert.match(fallo.reason.message, /excede la cantidad disponible/);
+    }
+
+    const final = await Producto.findById(producto._id);
+    assert.equal(final.existencia, 0);
+
+    // Un movimiento por pedido confirmado y ninguno de los rechazados
+    const pedidos = await Pedido.find({}, "_id");
+    assert.equal(pedidos.length, existencia);
+    const movimientos = await MovimientoInventario.find({
+      producto: producto._id,
+    });
+    assert.equal(movimientos.length, existencia);
+    const ids = new Set(pedidos.map((p) => p.id));
+    for (const movimiento of movimientos) {
+      assert.ok(ids.has(movimiento.pedido.toString()));
+    }
+  });
+
+  it("un pedido rechazado no deja movimientos de sus otras líneas", async (t) => {
+    if (mongo.omitido) return t.skip(SIN_MONGO);
+
+    const conStock = await crearProducto({ existencia: 5 });
+    const sinStock = await crearProducto({ existencia: 1 });
+
+    await assert.rejects(
+      pedir([
+        { id: conStock.id, cantidad: 2 },
+        { id: sinStock.id, cantidad: 2 },
+      ]),
+      /excede la cantidad disponible/
+    );
+
+    assert.equal((await Producto.findById(conStock._id)).existencia, 5);
+    assert.equal((await Producto.findById(sinStock._id)).existencia, 1);
+    assert.equal(await MovimientoInventario.countDocuments(), 0);
+    assert.equal(await Pedido.countDocuments(), 0);
+  });
+});
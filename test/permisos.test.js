@@ -0,0 +1,192 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const resolvers = require("../db/resolvers");
+const permisos = require("../db/permisos");
+const { aplicarPermisos } = require("../utils/autorizacion");
+
+// Quién puede ejecutar cada operación. Se escribe a mano a propósito: un
+// cambio en db/permisos.js tiene que reflejarse también aquí.
+const PUBLICAS = {
+  Query: ["obtenerRegiones", "obtenerComunas"],
+  Mutation: [
+    "nuevoUsuario",
+    "autenticarUsuario",
+    "refrescarToken",
+    "cerrarSesion",
+    "solicitarResetPassword",
+    "resetPassword",
+  ],
+};
+
+const SOLO_ADMIN = {
+  Query: [
+    "obtenerUsuariosConexion",
+    "obtenerUsuariosPorRol",
+    "totalVendedores",
+    "obtenerVendedor",
+    "obtenerUsuariosPorEstado",
+    "obtenerIntentosLogin",
+    "obtenerClienteAdmin",
+    "obtenerPedidos",
+    "reporteVentas",
+    "obtenerKardex",
+    "existenciaEnFecha",
+  ],
+  Mutation: [
+    "desbloquearUsuario",
+    "cambiarEstadoUsuario",
+    "nuevoProducto",
+    "actualizarProducto",
+    "eliminarProducto",
+    "insertProducts",
+    "upsertProducts",
+    "ajustarInventario",
+    "actualizarPedido",
+    "nuevoProveedor",
+    "actualizarProveedor",
+    "eliminarProveedor",
+    "cambiarEstadoProveedor",
+    "nuevoCostoEnvio",
+    "actualizarCostoEnvio",
+    "eliminarCostoEnvio",
+    "marcarComisionPagada",
+    "agregarComisionHistory",
+    "crearLiquidacion",
+    "aprobarLiquidacion",
+    "anularLiquidacion",
+  ],
+};
+
+const VENDEDORES = {
+  Query: [
+    "obtenerUsuario",
+    "obtenerProductosConexion",
+    "obtenerProductos",
+    "obtenerProducto",
+    "obtenerProductosProveedor",
+    "buscarProducto",
+    "buscarProductos",
+    "obtenerClientesConexion",
+    "obtenerClientes",
+    "obtenerClientesVendedorTodos",
+    "obtenerClientesVendedor",
+    "totalClientesVendedor",
+    "totalClientesVendedorTodos",
+    "obtenerCliente",
+    "obtenerPedidosConexion",
+    "obtenerPedidosVendedor",
+    "obtenerPedido",
+    "obtenerPedidosEstado",
+    "obtenerPedidosProveedor",
+    "obtenerPedidosVendedorPag",
+    "totalPedidosVendedor",
+    "obtenerPedidosEntregados",
+    "obtenerProveedoresConexion",
+    "obtenerProveedores",
+    "obtenerProveedor",
+    "obtenerCostoEnvio",
+    "resumenComisiones",
+    "obtenerLiquidaciones",
+    "obtenerLiquidacion",
+  ],
+  Mutation: [
+    "actualizarUsuario",
+    "cerrarTodasLasSesiones",
+    "eliminarDocumento",
+    "cambiarPassword",
+    "nuevoCliente",
+    "actualizarCliente",
+    "eliminarCliente",
+    "nuevoPedido",
+    "eliminarPedido",
+    "cancelarPedido",
+  ],
+};
+
+const id = "64b000000000000000000001";
+const CONTEXTOS = {
+  anonimo: {},
+  pendiente: { usuario: { id, role: "vendedor", estado: "pendiente" } },
+  vendedor: { usuario: { id, role: "vendedor", estado: "aprobado" } },
+  administrador: {
+    usuario: { id, role: "administrador", estado: "aprobado" },
+  },
+};
+
+const NO_AUTENTICADO = "Usuario no autenticado";
+const NO_APROBADO = "Tu cuenta no está aprobada";
+const SIN_CREDENCIALES = "No tienes las credenciales";
+
+// Resultado esperado por contexto: null si pasa, o el mensaje de error
+const ESPERADO = {
+  publica: {
+    anonimo: null,
+    pendiente: null,
+    vendedor: null,
+    administrador: null,
+  },
+  vendedores: {
+    anonimo: NO_AUTENTICADO,
+    pendiente: NO_APROBADO,
+    vendedor: null,
+    administrador: null,
+  },
+  admin: {
+    anonimo: NO_AUTENTICADO,
+    pendiente: NO_APROBADO,
+    vendedor: SIN_CREDENCIALES,
+    administrador: null,
+  },
+};
+
+const casos = ["Query", "Mutation"].flatMap((tipo) => [
+  ...PUBLICAS[tipo].map((campo) => [tipo, campo, "publica"]),
+  ...VENDEDORES[tipo].map((campo) => [tipo, campo, "vendedores"]),
+  ...SOLO_ADMIN[tipo].map((campo) => [tipo, campo, "admin"]),
+]);
+
+// Los mismos permisos sobre resolvers vacíos, para comprobar los casos
+// permitidos sin tocar la base de datos
+const vacios = Object.fromEntries(
+  ["Query", "Mutation"].map((tipo) => [
+    tipo,
+    Object.fromEntries(
+      Object.keys(resolvers[tipo]).map((campo) => [campo, async () => "ok"])
+    ),
+  ])
+);
+const protegidosVacios = aplicarPermisos(vacios, permisos);
+
+describe("permisos de Query y Mutation", () => {
+  it("la tabla cubre todas las operaciones del schema", () => {
+    for (const tipo of ["Query", "Mutation"]) {
+      const enTabla = casos
+        .filter(([tipoCaso]) => tipoCaso === tipo)
+        .map(([, campo]) => campo)
+        .sort();
+      assert.deepEqual(enTabla, Object.keys(resolvers[tipo]).sort());
+    }
+  });
+
+  for (const [tipo, campo, acceso] of casos) {
+    for (const [nombre, ctx] of Object.entries(CONTEXTOS)) {
+      const error = ESPERADO[acceso][nombre];
+
+      it(`${tipo}.${campo} ${
+        error ? "rechaza" : "permite"
+      } ${nombre}`, async () => {
+        if (error) {
+          // Los rechazos ocurren antes del resolver real
+          await assert.rejects(resolvers[tipo][campo](null, {}, ctx), {
+            message: error,
+          });
+        } else {
+          assert.equal(
+            await protegidosVacios[tipo][campo](null, {}, ctx),
+            "ok"
+          );
+        }
+      });
+    }
+  }
+});
@@ -0,0 +1,55 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { PassThrough } = require("stream");
+const { crearEscritor, leerPlanilla } = require("../utils/planillas");
+
+// Escribe las filas con el escritor del formato y devuelve lo generado
+const exportar = async (formato, columnas, filas) => {
+  const res = new PassThrough();
+  const partes = [];
+  res.on("data", (parte) => partes.push(parte));
+
+  const escritor = crearEscritor(formato, res);
+  await escritor.iniciar(columnas);
+  for (const fila of filas) {
+    await escritor.fila(fila);
+  }
+  await escritor.terminar();
+  return Buffer.concat(partes);
+};
+
+const PELIGROSOS = ["=1+1", "+56912345678", "-2+3", "@SUMA(A1)", "\t=1"];
+
+describe("exportación de planillas", () => {
+  it("CSV antepone un apóstrofo a los textos que parecen fórmulas", async () => {
+    const salida = await exportar(
+      "csv",
+      ["valor", "monto"],
+      PELIGROSOS.map((valor) => ({ valor, monto: -1500 }))
+    );
+
+    assert.deepEqual(salida.toString().trim().split("\n"), [
+      "valor,monto",
+      "'=1+1,-1500",
+      "'+56912345678,-1500",
+      "'-2+3,-1500",
+      "'@SUMA(A1),-1500",
+      "'\t=1,-1500",
+    ]);
+  });
+
+  it("XLSX guarda esos textos como texto y deja los números", async () => {
+    const salida = await exportar(
+      "xlsx",
+      ["valor", "monto"],
+      PELIGROSOS.map((valor) => ({ valor, monto: -1500 }))
+    );
+
+    const filas = await leerPlanilla(salida, "pedidos.xlsx");
+    assert.deepEqual(
+      filas.map(({ valor }) => valor),
+      PELIGROSOS.map((valor) => `'${valor}`)
+    );
+    assert.ok(filas.every(({ monto }) => monto === "-1500"));
+  });
+});
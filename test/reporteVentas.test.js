@@ -0,0 +1,63 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { usarMongo, SIN_MONGO } = require("./helpers/mongo");
+const resolvers = require("../db/resolvers");
+const {
+  crearVendedor,
+  crearAdministrador,
+  crearProveedor,
+  insertarPedido,
+  contextoDe,
+} = require("./helpers/datos");
+
+describe("reporte de ventas por rango de fechas", () => {
+  const mongo = usarMongo();
+  let admin;
+
+  beforeEach(async () => {
+    if (mongo.omitido) return;
+    admin = await crearAdministrador();
+    const vendedor = await crearVendedor();
+    const proveedor = await crearProveedor();
+
+    for (const creado of [
+      "2023-12-31T23:30:00-03:00",
+      "2024-01-01T00:30:00-03:00",
+      "2024-01-31T16:30:00-03:00",
+      "2024-01-31T23:30:00-03:00",
+      "2024-02-01T00:30:00-03:00",
+    ]) {
+      await insertarPedido({
+        vendedor,
+        proveedor,
+        pedido: [{ cantidad: 1, precio: 1000, costo: 600, sku: "PRV001" }],
+        creado: new Date(creado),
+      });
+    }
+  });
+
+  it("incluye completo el último día, en horario de Santiago", async (t) => {
+    if (mongo.omitido) return t.skip(SIN_MONGO);
+
+    const grupos = await resolvers.Query.reporteVentas(
+      null,
+      {
+        agrupacion: "DIA",
+        filtro: { desde: "2024-01-01", hasta: "2024-01-31" },
+      },
+      contextoDe(admin)
+    );
+
+    assert.deepEqual(
+      grupos.map(({ clave, pedidos, ingresos }) => ({
+        clave,
+        pedidos,
+        ingresos,
+      })),
+      [
+        { clave: "2024-01-01", pedidos: 1, ingresos: 1000 },
+        { clave: "2024-01-31", pedidos: 2, ingresos: 2000 },
+      ]
+    );
+  });
+});
@@ -0,0 +1,30 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const {
+  crearTokenAcceso,
+  crearTokenRegistro,
+  verificarTokenRegistro,
+} = require("../utils/sesiones");
+
+describe("token de registro", () => {
+  const usuario = { _id: new mongoose.Types.ObjectId(), role: "vendedor" };
+
+  before(() => {
+    process.env.SECRETA = process.env.SECRETA || "secreta-de-prueba";
+  });
+
+  it("identifica al usuario que se registró", () => {
+    const token = crearTokenRegistro(usuario);
+    assert.equal(verificarTokenRegistro(token), usuario._id.toString());
+  });
+
+  it("no acepta tokens de acceso ni tokens alterados", () => {
+    assert.equal(verificarTokenRegistro(crearTokenAcceso(usuario)), null);
+    assert.equal(
+      verificarTokenRegistro(`${crearTokenRegistro(usuario)}x`),
+      null
+    );
+    assert.equal(verificarTokenRegistro("no-es-un-token"), null);
+  });
+});
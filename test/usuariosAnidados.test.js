@@ -0,0 +1,177 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { ApolloServer } = require("apollo-server");
+const typeDefs = require("../db/schema");
+const resolvers = require("../db/resolvers");
+const Usuario = require("../models/Usuario");
+
+// Documento completo, como si un populate hubiera traído todos los campos
+const dueno = new Usuario({
+  rut: "11.111.111-1",
+  nombre: "Vendedora A",
+  email: "a@test.cl",
+  password: "hash-del-password",
+  ndocumento: "123456789",
+  direccioncalle: "Calle 1",
+  cuentabanconumero: "000123",
+  cuentabanconombre: "Banco",
+  cuentabancotipocuenta: "Vista",
+  carnetfrente: "carnets/frente.jpg",
+  carnetreverso: "carnets/reverso.jpg",
+  comisionHistory: [
+    { pedidoId: new mongoose.Types.ObjectId(), monto: 1000, pagadoPor: "x" },
+  ],
+  resetPasswordHash: "hash-del-reset",
+  estado: "aprobado",
+});
+
+const otroVendedor = {
+  usuario: {
+    id: new mongoose.Types.ObjectId().toString(),
+    role: "vendedor",
+    estado: "aprobado",
+  },
+};
+const administrador = {
+  usuario: {
+    id: new mongoose.Types.ObjectId().toString(),
+    role: "administrador",
+    estado: "aprobado",
+  },
+};
+
+const pedido = {
+  id: "1",
+  comisionPagada: false,
+  vendedor: dueno,
+  historialEstados: [
+    { estadoNuevo: "Pendiente", usuario: dueno, fecha: "2024-01-01" },
+  ],
+};
+const cliente = { id: "2", nombre: "Cliente", vendedor: dueno };
+const liquidacion = {
+  id: "3",
+  vendedor: dueno,
+  desde: "2024-01-01",
+  hasta: "2024-01-31",
+  pedidos: [],
+  total: 0,
+  estado: "borrador",
+};
+
+// Las consultas raíz devuelven los objetos de arriba; los resolvers de
+// campo son los reales
+const crearServidor = (ctx) =>
+  new ApolloServer({
+    typeDefs,
+    resolvers: {
+      ...resolvers,
+      Query: {
+        ...resolvers.Query,
+        obtenerPedido: async () => pedido,
+        obtenerCliente: async () => cliente,
+        obtenerLiquidacion: async () => liquidacion,
+      },
+    },
+    context: () => ctx,
+  });
+
+const CAMPOS_USUARIO = `
+  nombre
+  rut
+  ndocumento
+  direccioncalle
+  cuentabanconumero
+  cuentabanconombre
+  cuentabancotipocuenta
+  carnetfrente
+  carnetreverso
+  comisionHistory { monto }
+  documentos { id }
+`;
+
+const CONSULTAS = {
+  "Pedido.vendedor": {
+    query: `{ obtenerPedido(id: "1") { vendedor { ${CAMPOS_USUARIO} } } }`,
+    usuario: (data) => data.obtenerPedido.vendedor,
+  },
+  "Cliente.vendedor": {
+    query: `{ obtenerCliente(id: "2") { vendedor { ${CAMPOS_USUARIO} } } }`,
+    usuario: (data) => data.obtenerCliente.vendedor,
+  },
+  "HistorialEstado.usuario": {
+    query: `{ obtenerPedido(id: "1") { historialEstados { usuario { ${CAMPOS_USUARIO} } } } }`,
+    usuario: (data) => data.obtenerPedido.historialEstados[0].usuario,
+  },
+  "Liquidacion.vendedor": {
+    query: `{ obtenerLiquidacion(id: "3") { vendedor { ${CAMPOS_USUARIO} } } }`,
+    usuario: (data) => data.obtenerLiquidacion.vendedor,
+  },
+};
+
+const PRIVADOS = [
+  "rut",
+  "ndocumento",
+  "direccioncalle",
+  "cuentabanconumero",
+  "cuentabanconombre",
+  "cuentabancotipocuenta",
+  "carnetfrente",
+  "carnetreverso",
+  "comisionHistory",
+  "documentos",
+];
+
+describe("usuarios anidados vistos por otro vendedor", () => {
+  for (const [nombre, { query, usuario }] of Object.entries(CONSULTAS)) {
+    it(`${nombre} no expone datos privados`, async () => {
+      const { data, errors } = await crearServidor(
+        otroVendedor
+      ).executeOperation({ query });
+
+      assert.equal(errors, undefined);
+      const resultado = usuario(data);
+      assert.equal(resultado.nombre, "Vendedora A");
+      for (const campo of PRIVADOS) {
+        assert.equal(resultado[campo], null, campo);
+      }
+    });
+  }
+
+  it("un administrador sí ve los datos privados", async () => {
+    const { data, errors } = await crearServidor(
+      administrador
+    ).executeOperation({
+      query: `{ obtenerPedido(id: "1") { vendedor { rut cuentabanconumero carnetfrente } } }`,
+    });
+
+    assert.equal(errors, undefined);
+    assert.deepEqual(
+      { ...data.obtenerPedido.vendedor },
+      {
+        rut: "11.111.111-1",
+        cuentabanconumero: "000123",
+        carnetfrente: "carnets/frente.jpg",
+      }
+    );
+  });
+
+  for (const campo of [
+    "password",
+    "tokenVersion",
+    "resetPasswordHash",
+    "resetPasswordExpira",
+  ]) {
+    it(`${campo} no se puede seleccionar`, async () => {
+      const { errors } = await crearServidor(administrador).executeOperation({
+        query: `{ obtenerPedido(id: "1") { vendedor { ${campo} } } }`,
+      });
+
+      assert.match(
+        errors[0].message,
+        new RegExp(`Cannot query field "${campo}"`)
+      );
+    });
+  }
+});
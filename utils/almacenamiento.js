@@ -0,0 +1,54 @@
+// Almacenamiento de archivos con backend intercambiable. Por defecto los
+// archivos quedan en disco local (UPLOADS_DIR); para usar S3 u otro servicio
+// compatible se configura un backend con la misma interfaz:
+//
+//   guardar(clave, buffer, { mimetype }) -> Promise
+//   obtener(clave) -> Promise<stream legible>
+//   eliminar(clave) -> Promise
+const fs = require("fs");
+const path = require("path");
+
+const crearAlmacenamientoLocal = (directorio) => {
+  // La clave nunca debe salir del directorio de subidas
+  const ruta = (clave) => {
+    const destino = path.resolve(directorio, clave);
+    if (!destino.startsWith(path.resolve(directorio) + path.sep)) {
+      throw new Error("Clave de archivo no válida");
+    }
+    return destino;
+  };
+
+  return {
+    guardar: async (clave, buffer) => {
+      const destino = ruta(clave);
+      await fs.promises.mkdir(path.dirname(destino), { recursive: true });
+      await fs.promises.writeFile(destino, buffer);
+    },
+    obtener: async (clave) => {
+      const origen = ruta(clave);
+      await fs.promises.access(origen);
+      return fs.createReadStream(origen);
+    },
+    eliminar: async (clave) => {
+      await fs.promises.rm(ruta(clave), { force: true });
+    },
+  };
+};
+
+const almacenamientoLocal = crearAlmacenamientoLocal(
+  process.env.UPLOADS_DIR || path.join(__dirname, "..", "uploads")
+);
+
+let almacenamiento = almacenamientoLocal;
+
+function configurarAlmacenamiento(backend) {
+  almacenamiento = backend || almacenamientoLocal;
+}
+
+const obtenerAlmacenamiento = () => almacenamiento;
+
+module.exports = {
+  crearAlmacenamientoLocal,
+  configurarAlmacenamiento,
+  obtenerAlmacenamiento,
+};
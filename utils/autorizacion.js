@@ -0,0 +1,58 @@
+// Operaciones que no requieren token
+const PUBLICO = "publico";
+
+const ROLES = ["vendedor", "administrador"];
+
+// Verifica que el usuario del contexto pueda ejecutar una operación
+function verificarPermiso(permiso, ctx) {
+  if (permiso === PUBLICO) {
+    return;
+  }
+
+  if (!ctx.usuario) {
+    throw new Error("Usuario no autenticado");
+  }
+
+  // Cuentas pendientes, rechazadas o suspendidas no pueden operar
+  if (ctx.usuario.estado !== "aprobado") {
+    throw new Error("Tu cuenta no está aprobada");
+  }
+
+  if (!permiso.includes(ctx.usuario.role)) {
+    throw new Error("No tienes las credenciales");
+  }
+}
+
+// Envuelve cada Query y Mutation con su permiso. Una operación sin permiso
+// declarado detiene el arranque, así ninguna queda abierta por olvido.
+function aplicarPermisos(resolvers, permisos) {
+  const protegidos = { ...resolvers };
+
+  for (const tipo of ["Query", "Mutation"]) {
+    protegidos[tipo] = {};
+
+    for (const [campo, resolver] of Object.entries(resolvers[tipo] || {})) {
+      const permiso = permisos[tipo]?.[campo];
+      if (!permiso) {
+        throw new Error(`${tipo}.${campo} no tiene permisos definidos`);
+      }
+      if (permiso !== PUBLICO && !permiso.every((rol) => ROLES.includes(rol))) {
+        throw new Error(`${tipo}.${campo} tiene un rol desconocido`);
+      }
+
+      protegidos[tipo][campo] = async (parent, args, ctx, info) => {
+        verificarPermiso(permiso, ctx);
+        return resolver(parent, args, ctx, info);
+      };
+    }
+  }
+
+  return protegidos;
+}
+
+module.exports = {
+  PUBLICO,
+  ROLES,
+  verificarPermiso,
+  aplicarPermisos,
+};
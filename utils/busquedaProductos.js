@@ -0,0 +1,147 @@
+const Producto = require("../models/Producto");
+const Proveedor = require("../models/Proveedor");
+const { normalizarTexto, escaparRegex } = require("./texto");
+
+const LIMITE_RESULTADOS = 50;
+
+// Las palabras se buscan como prefijo de alguna palabra del producto
+const regexPrefijo = (palabra) => new RegExp(`(^|\\s)${escaparRegex(palabra)}`);
+
+// Tolera un error de tipeo (letra cambiada, faltante o sobrante) en
+// palabras de 4 letras o más
+function regexAproximada(palabra) {
+  if (palabra.length < 4) {
+    return regexPrefijo(palabra);
+  }
+  const letras = [...palabra].map(escaparRegex);
+  const variantes = [];
+  for (let i = 0; i < letras.length; i++) {
+    const antes = letras.slice(0, i).join("");
+    const despues = letras.slice(i + 1).join("");
+    variantes.push(`${antes}.${despues}`); // cambiada
+    variantes.push(`${antes}${despues}`); // sobrante
+    variantes.push(`${antes}.${letras.slice(i).join("")}`); // faltante
+  }
+  return new RegExp(`(^|\\s)(${variantes.join("|")})`);
+}
+
+// Condición de texto según la estrategia: prefijo, índice de texto o
+// aproximada. Se usa la primera que encuentre resultados
+const ESTRATEGIAS = {
+  prefijo: (texto) => ({
+    $and: texto.split(" ").map((palabra) => ({
+      busqueda: regexPrefijo(palabra),
+    })),
+  }),
+  texto: (texto) => ({ $text: { $search: texto } }),
+  aproximada: (texto) => ({
+    $and: texto.split(" ").map((palabra) => ({
+      busqueda: regexAproximada(palabra),
+    })),
+  }),
+};
+
+function filtrosCatalogo({ precioMin, precioMax, soloConStock }) {
+  const filtros = {};
+  if (precioMin != null || precioMax != null) {
+    filtros.precio = {};
+    if (precioMin != null) filtros.precio.$gte = precioMin;
+    if (precioMax != null) filtros.precio.$lte = precioMax;
+  }
+  if (soloConStock) {
+    filtros.existencia = { $gt: 0 };
+  }
+  return filtros;
+}
+
+async function ejecutarBusqueda(condicion, filtros, skuproveedor, limite) {
+  // $text debe ir en el primer $match
+  const [resultado] = await Producto.aggregate([
+    { $match: { ...condicion, ...filtros } },
+    {
+      $facet: {
+        // Las facetas no aplican el filtro de proveedor, para poder cambiarlo
+        proveedores: [
+          { $group: { _id: "$skuproveedor", cantidad: { $sum: 1 } } },
+          { $sort: { cantidad: -1, _id: 1 } },
+        ],
+        productos: [
+          ...(skuproveedor ? [{ $match: { skuproveedor } }] : []),
+          {
+            $addFields: {
+              relevancia: condicion.$text ? { $meta: "textScore" } : 0,
+            },
+          },
+          { $sort: { relevancia: -1, nombre: 1, _id: 1 } },
+          { $limit: limite },
+          { $project: { busqueda: 0, relevancia: 0 } },
+        ],
+        total: [
+          ...(skuproveedor ? [{ $match: { skuproveedor } }] : []),
+          { $count: "cantidad" },
+        ],
+      },
+    },
+  ]);
+
+  return {
+    productos: resultado.productos,
+    total: resultado.total[0]?.cantidad || 0,
+    proveedores: resultado.proveedores,
+  };
+}
+
+// Búsqueda del catálogo con facetas por proveedor
+async function buscarProductos({
+  texto,
+  skuproveedor,
+  precioMin,
+  precioMax,
+  soloConStock,
+  limite,
+} = {}) {
+  const normalizado = normalizarTexto(texto);
+  const filtros = filtrosCatalogo({ precioMin, precioMax, soloConStock });
+  const maximo = Math.min(limite || LIMITE_RESULTADOS, LIMITE_RESULTADOS);
+
+  let busqueda = {
+    productos: [],
+    total: 0,
+    proveedores: [],
+    estrategia: null,
+  };
+  if (!normalizado) {
+    busqueda = await ejecutarBusqueda({}, filtros, skuproveedor, maximo);
+  } else {
+    for (const [estrategia, condicion] of Object.entries(ESTRATEGIAS)) {
+      const resultado = await ejecutarBusqueda(
+        condicion(normalizado),
+        filtros,
+        skuproveedor,
+        maximo
+      );
+      if (resultado.proveedores.length) {
+        busqueda = { ...resultado, estrategia };
+        break;
+      }
+    }
+  }
+
+  // Nombre del proveedor para mostrar las facetas
+  const proveedores = await Proveedor.find({
+    codigo: { $in: busqueda.proveedores.map((faceta) => faceta._id) },
+  }).lean();
+  const nombres = new Map(proveedores.map((p) => [p.codigo, p.nombre]));
+
+  return {
+    ...busqueda,
+    productos: busqueda.productos.map((producto) => Producto.hydrate(producto)),
+    proveedores: busqueda.proveedores.map((faceta) => ({
+      skuproveedor: faceta._id,
+      nombre: nombres.get(faceta._id) || null,
+      cantidad: faceta.cantidad,
+    })),
+  };
+}
+
+module.exports = buscarProductos;
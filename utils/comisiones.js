@@ -0,0 +1,182 @@
+const mongoose = require("mongoose");
+const Usuario = require("../models/Usuario");
+const Proveedor = require("../models/Proveedor");
+const { ZONA_HORARIA } = require("./fechas");
+
+// Comisión del vendedor: porcentaje del proveedor sobre el subtotal, sin
+// contar el envío. Se redondea a pesos.
+function calcularComision(subtotal, porcentaje) {
+  return Math.round(((subtotal || 0) * (porcentaje || 0)) / 100);
+}
+
+// Marca la comisión de un pedido como pagada y la agrega al historial del
+// vendedor con el monto calculado por el servidor
+async function registrarPagoComision(
+  pedido,
+  { session, pagadoPor, liquidacion }
+) {
+  if (pedido.estado !== "Entregado") {
+    throw new Error(
+      `El pedido ${pedido.numeropedido} no está entregado, su comisión aún no se puede pagar`
+    );
+  }
+  if (pedido.comisionPagada) {
+    throw new Error(
+      `La comisión del pedido ${pedido.numeropedido} ya fue pagada`
+    );
+  }
+
+  // Un pedido dentro de una liquidación se paga al aprobarla
+  if (pedido.liquidacion && !pedido.liquidacion.equals(liquidacion)) {
+    throw new Error(
+      `El pedido ${pedido.numeropedido} está incluido en una liquidación`
+    );
+  }
+
+  await pedido.actualizarComision();
+  pedido.comisionPagada = true;
+  await pedido.save({ session });
+
+  const vendedorId = pedido.vendedor._id || pedido.vendedor;
+  await Usuario.updateOne(
+    { _id: vendedorId },
+    {
+      $push: {
+        comisionHistory: {
+          pedidoId: pedido._id,
+          monto: pedido.comision,
+          pagadoPor,
+        },
+      },
+    },
+    { session }
+  );
+}
+
+const sumarMontos = {
+  devengado: { $sum: "$montoComision" },
+  pagado: { $sum: "$montoPagado" },
+};
+
+const conPendiente = ({ devengado = 0, pagado = 0, ...resto }) => ({
+  ...resto,
+  devengado,
+  pagado,
+  pendiente: devengado - pagado,
+});
+
+// Comisiones devengadas (pedidos entregados), pagadas y pendientes de un
+// vendedor, o de todos si no se indica, por proveedor y por mes
+async function resumenComisiones({ vendedorId, desde, hasta } = {}) {
+  const match = { estado: "Entregado" };
+  if (vendedorId) {
+    match.vendedor = new mongoose.Types.ObjectId(vendedorId);
+  }
+  if (desde || hasta) {
+    match.creado = {};
+    if (desde) match.creado.$gte = desde;
+    if (hasta) match.creado.$lte = hasta;
+  }
+
+  // El modelo se pide aquí porque Pedido depende de este archivo
+  const Pedido = mongoose.model("Pedido");
+
+  const [resultado] = await Pedido.aggregate([
+    { $match: match },
+    // Pedidos anteriores al cálculo automático no tienen `comision`
+    {
+      $lookup: {
+        from: Proveedor.collection.name,
+        localField: "proveedor",
+        foreignField: "_id",
+        pipeline: [{ $project: { comision: 1 } }],
+        as: "proveedorComision",
+      },
+    },
+    {
+      $addFields: {
+        montoComision: {
+          $ifNull: [
+            "$comision",
+            {
+              $round: [
+                {
+                  $divide: [
+                    {
+                      $multiply: [
+                        "$subtotal",
+                        {
+                          $ifNull: [
+                            {
+                              $arrayElemAt: ["$proveedorComision.comision", 0],
+                            },
+                            0,
+                          ],
+                        },
+                      ],
+                    },
+                    100,
+                  ],
+                },
+                0,
+              ],
+            },
+          ],
+        },
+      },
+    },
+    {
+      $addFields: {
+        montoPagado: { $cond: ["$comisionPagada", "$montoComision", 0] },
+        mes: {
+          $dateToString: {
+            format: "%Y-%m",
+            date: "$creado",
+            timezone: ZONA_HORARIA,
+          },
+        },
+      },
+    },
+    {
+      $facet: {
+        totales: [{ $group: { _id: null, ...sumarMontos } }],
+        porProveedor: [
+          { $group: { _id: "$proveedor", ...sumarMontos } },
+          { $sort: { devengado: -1 } },
+        ],
+        porMes: [
+          { $group: { _id: "$mes", ...sumarMontos } },
+          { $sort: { _id: 1 } },
+        ],
+      },
+    },
+  ]);
+
+  const proveedores = await Proveedor.find({
+    _id: { $in: resultado.porProveedor.map(({ _id }) => _id) },
+  });
+  const proveedorPorId = new Map(
+    proveedores.map((proveedor) => [proveedor._id.toString(), proveedor])
+  );
+
+  const { _id, ...totales } = resultado.totales[0] || {};
+
+  return {
+    ...conPendiente(totales),
+    porProveedor: resultado.porProveedor.map(({ _id, ...montos }) =>
+      conPendiente({
+        proveedor: proveedorPorId.get(String(_id)) || null,
+        ...montos,
+      })
+    ),
+    porMes: resultado.porMes.map(({ _id, ...montos }) =>
+      conPendiente({ mes: _id, ...montos })
+    ),
+  };
+}
+
+module.exports = {
+  calcularComision,
+  registrarPagoComision,
+  resumenComisiones,
+};
@@ -0,0 +1,184 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const { obtenerAlmacenamiento } = require("./almacenamiento");
+
+const IMAGENES = ["image/jpeg", "image/png", "image/webp"];
+
+// Tipos de documento: a qué se asocian y qué formatos aceptan
+const TIPOS_DOCUMENTO = {
+  carnetfrente: {
+    asociado: "usuario",
+    mimetypes: [...IMAGENES, "application/pdf"],
+  },
+  carnetreverso: {
+    asociado: "usuario",
+    mimetypes: [...IMAGENES, "application/pdf"],
+  },
+  comprobante: {
+    asociado: "pedido",
+    mimetypes: [...IMAGENES, "application/pdf"],
+  },
+  fotoentrega: { asociado: "pedido", mimetypes: IMAGENES },
+};
+
+const TAMANO_MAXIMO = 5 * 1024 * 1024; // 5 MB
+
+const EXTENSIONES = {
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/webp": ".webp",
+  "application/pdf": ".pdf",
+};
+
+// El mimetype que declara el cliente no es confiable: se revisa la firma
+// del archivo
+const detectarMimetype = (buffer) => {
+  if (
+    buffer.length >= 3 &&
+    buffer[0] === 0xff &&
+    buffer[1] === 0xd8 &&
+    buffer[2] === 0xff
+  ) {
+    return "image/jpeg";
+  }
+  if (
+    buffer
+      .subarray(0, 8)
+      .equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  ) {
+    return "image/png";
+  }
+  if (
+    buffer.subarray(0, 4).toString("latin1") === "RIFF" &&
+    buffer.subarray(8, 12).toString("latin1") === "WEBP"
+  ) {
+    return "image/webp";
+  }
+  if (buffer.subarray(0, 5).toString("latin1") === "%PDF-") {
+    return "application/pdf";
+  }
+  return null;
+};
+
+function validarArchivo(tipo, archivo) {
+  const definicion = TIPOS_DOCUMENTO[tipo];
+  if (!definicion) {
+    throw new Error(`El tipo de documento ${tipo} no es válido`);
+  }
+  if (!archivo || !archivo.buffer?.length) {
+    throw new Error("Debes adjuntar un archivo");
+  }
+  if (archivo.size > TAMANO_MAXIMO) {
+    throw new Error("El archivo supera el tamaño máximo de 5 MB");
+  }
+
+  const mimetype = detectarMimetype(archivo.buffer);
+  if (
+    !mimetype ||
+    mimetype !== archivo.mimetype ||
+    !definicion.mimetypes.includes(mimetype)
+  ) {
+    throw new Error(
+      `Formato no permitido para ${tipo}: ${definicion.mimetypes.join(", ")}`
+    );
+  }
+  return mimetype;
+}
+
+const urlDocumento = (documento) => `/api/documentos/${documento._id}`;
+
+// Administradores, el dueño del documento o el vendedor del pedido
+async function puedeVerDocumento(documento, usuario) {
+  if (!usuario) {
+    return false;
+  }
+  if (usuario.role === "administrador") {
+    return true;
+  }
+  if (documento.usuario?.toString() === usuario.id) {
+    return true;
+  }
+  if (documento.pedido) {
+    const pedido = await mongoose
+      .model("Pedido")
+      .findById(documento.pedido)
+      .select("vendedor");
+    return pedido?.vendedor?.toString() === usuario.id;
+  }
+  return false;
+}
+
+// Guarda el archivo y registra el documento. Un carnet nuevo reemplaza al
+// anterior del mismo usuario y queda enlazado en Usuario.carnetfrente/reverso
+async function subirDocumento({
+  tipo,
+  archivo,
+  usuarioId,
+  pedidoId,
+  subidoPor,
+}) {
+  const mimetype = validarArchivo(tipo, archivo);
+  const Documento = mongoose.model("Documento");
+  const Usuario = mongoose.model("Usuario");
+
+  const clave = `${tipo}/${crypto.randomUUID()}${EXTENSIONES[mimetype]}`;
+  await obtenerAlmacenamiento().guardar(clave, archivo.buffer, { mimetype });
+
+  const esCarnet = TIPOS_DOCUMENTO[tipo].asociado === "usuario";
+  const anterior = esCarnet
+    ? await Documento.findOne({ usuario: usuarioId, tipo })
+    : null;
+
+  try {
+    const documento = await Documento.create({
+      tipo,
+      nombre: archivo.originalname,
+      mimetype,
+      tamano: archivo.size,
+      clave,
+      usuario: esCarnet ? usuarioId : undefined,
+      pedido: esCarnet ? undefined : pedidoId,
+      subidoPor,
+    });
+
+    if (esCarnet) {
+      await Usuario.updateOne(
+        { _id: usuarioId },
+        { $set: { [tipo]: urlDocumento(documento) } }
+      );
+      if (anterior) {
+        await eliminarDocumento(anterior);
+      }
+    }
+    return documento;
+  } catch (error) {
+    // No dejar archivos huérfanos si falla el registro
+    await obtenerAlmacenamiento().eliminar(clave);
+    throw error;
+  }
+}
+
+async function eliminarDocumento(documento) {
+  await mongoose.model("Documento").deleteOne({ _id: documento._id });
+  await obtenerAlmacenamiento().eliminar(documento.clave);
+
+  // Si era el carnet vigente, se desenlaza del usuario
+  if (documento.usuario) {
+    await mongoose
+      .model("Usuario")
+      .updateOne(
+        { _id: documento.usuario, [documento.tipo]: urlDocumento(documento) },
+        { $unset: { [documento.tipo]: "" } }
+      );
+  }
+}
+
+module.exports = {
+  TIPOS_DOCUMENTO,
+  TAMANO_MAXIMO,
+  validarArchivo,
+  urlDocumento,
+  puedeVerDocumento,
+  subirDocumento,
+  eliminarDocumento,
+};
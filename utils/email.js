@@ -0,0 +1,51 @@
+// Envío de correos con transporte intercambiable. En producción se usa
+// SMTP (SMTP_URL); sin transporte configurado el correo solo se escribe en
+// consola en desarrollo o pruebas, y en cualquier otro entorno se rechaza
+// para no dejar tokens de reset en los logs.
+//
+// Un transporte es una función async que recibe { para, asunto, texto }.
+const nodemailer = require("nodemailer");
+
+const ENTORNOS_CONSOLA = ["development", "test"];
+
+const consolaPermitida = () =>
+  ENTORNOS_CONSOLA.includes(process.env.NODE_ENV) ||
+  process.env.EMAIL_CONSOLA === "true";
+
+const transporteConsola = async ({ para, asunto, texto }) => {
+  if (!consolaPermitida()) {
+    throw new Error(
+      `No hay transporte de correo configurado, no se envió "${asunto}"`
+    );
+  }
+  console.log(`Correo para ${para}: ${asunto}\n${texto}`);
+};
+
+// url: smtp(s)://usuario:password@servidor:puerto
+function crearTransporteSMTP(url, remitente) {
+  const smtp = nodemailer.createTransport(url);
+  return async ({ para, asunto, texto }) => {
+    await smtp.sendMail({
+      from: remitente,
+      to: para,
+      subject: asunto,
+      text: texto,
+    });
+  };
+}
+
+let transporte = transporteConsola;
+
+function configurarTransporte(nuevoTransporte) {
+  transporte = nuevoTransporte || transporteConsola;
+}
+
+async function enviarCorreo(mensaje) {
+  await transporte(mensaje);
+}
+
+module.exports = {
+  crearTransporteSMTP,
+  configurarTransporte,
+  enviarCorreo,
+};
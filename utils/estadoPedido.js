@@ -0,0 +1,35 @@
+// Transiciones permitidas entre los estados de un pedido
+const TRANSICIONES_ESTADO = {
+  Pendiente: ["Aprobado", "Observado", "Cancelado"],
+  Observado: ["Pendiente", "Aprobado", "Cancelado"],
+  Aprobado: ["Observado", "Entregado", "Cancelado"],
+  Entregado: [],
+  Cancelado: [],
+};
+
+const ESTADOS_PEDIDO = Object.keys(TRANSICIONES_ESTADO);
+
+function puedeCambiarEstado(estadoActual, estadoNuevo) {
+  const permitidos = TRANSICIONES_ESTADO[estadoActual] || [];
+  return permitidos.includes(estadoNuevo);
+}
+
+// Lanza un error si el cambio de estado no está permitido
+function validarCambioEstado(estadoActual, estadoNuevo) {
+  if (!ESTADOS_PEDIDO.includes(estadoNuevo)) {
+    throw new Error(`El estado ${estadoNuevo} no es válido`);
+  }
+
+  if (!puedeCambiarEstado(estadoActual, estadoNuevo)) {
+    throw new Error(
+      `No se puede cambiar el estado del pedido de ${estadoActual} a ${estadoNuevo}`
+    );
+  }
+}
+
+module.exports = {
+  TRANSICIONES_ESTADO,
+  ESTADOS_PEDIDO,
+  puedeCambiarEstado,
+  validarCambioEstado,
+};
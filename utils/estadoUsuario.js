@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+
+// Registro de vendedores: las cuentas nuevas quedan pendientes hasta que
+// un administrador revisa su carnet y datos bancarios
+const TRANSICIONES_ESTADO_USUARIO = {
+  pendiente: ["aprobado", "rechazado"],
+  aprobado: ["suspendido"],
+  rechazado: ["aprobado"],
+  suspendido: ["aprobado"],
+};
+
+const ESTADOS_USUARIO = Object.keys(TRANSICIONES_ESTADO_USUARIO);
+
+// Estados que exigen explicar el motivo al usuario
+const ESTADOS_CON_MOTIVO = ["rechazado", "suspendido"];
+
+// Mensaje al intentar iniciar sesión sin estar aprobado
+const MENSAJES_ESTADO_USUARIO = {
+  pendiente: "Tu cuenta está pendiente de aprobación",
+  rechazado: "Tu solicitud de registro fue rechazada",
+  suspendido: "Tu cuenta está suspendida, contacta a un administrador",
+};
+
+function validarCambioEstadoUsuario(estadoActual, estadoNuevo, motivo) {
+  if (!ESTADOS_USUARIO.includes(estadoNuevo)) {
+    throw new Error(`El estado ${estadoNuevo} no es válido`);
+  }
+
+  const permitidos = TRANSICIONES_ESTADO_USUARIO[estadoActual] || [];
+  if (!permitidos.includes(estadoNuevo)) {
+    throw new Error(
+      `No se puede cambiar la cuenta de ${estadoActual} a ${estadoNuevo}`
+    );
+  }
+
+  if (ESTADOS_CON_MOTIVO.includes(estadoNuevo) && !motivo?.trim()) {
+    throw new Error("Debes indicar el motivo");
+  }
+}
+
+// Las cuentas creadas antes del registro con aprobación no tienen estado.
+// Mongoose les aplica el default "pendiente" al leerlas, así que quedarían
+// bloqueadas (y un save lo dejaría guardado): por eso se aprueban al
+// arrancar el servidor, antes de atender consultas
+async function aprobarUsuariosSinEstado() {
+  // El modelo se pide aquí porque Usuario depende de este archivo
+  const { modifiedCount } = await mongoose
+    .model("Usuario")
+    .updateMany(
+      { estado: { $exists: false } },
+      { $set: { estado: "aprobado" } }
+    );
+  return modifiedCount;
+}
+
+module.exports = {
+  TRANSICIONES_ESTADO_USUARIO,
+  ESTADOS_USUARIO,
+  MENSAJES_ESTADO_USUARIO,
+  validarCambioEstadoUsuario,
+  aprobarUsuariosSinEstado,
+};
@@ -0,0 +1,117 @@
+// Los días de los filtros y reportes son días de Chile, no de UTC
+const ZONA_HORARIA = "America/Santiago";
+const HORA_MS = 60 * 60 * 1000;
+const SOLO_FECHA = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const formatoZona = new Intl.DateTimeFormat("en-US", {
+  timeZone: ZONA_HORARIA,
+  hourCycle: "h23",
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  second: "2-digit",
+});
+
+// Fecha y hora locales de un instante: { year, month, day, hour, ... }
+const partesEnZona = (fecha) =>
+  Object.fromEntries(
+    formatoZona
+      .formatToParts(fecha)
+      .filter(({ type }) => type !== "literal")
+      .map(({ type, value }) => [type, Number(value)])
+  );
+
+const diaEnZona = (fecha) => {
+  const { year, month, day } = partesEnZona(fecha);
+  return Date.UTC(year, month - 1, day);
+};
+
+// Instante en que empieza el día en Santiago. Se parte del mediodía UTC y
+// se resta la hora local; si un cambio de horario cae entre medio, el
+// resultado queda en el día anterior y se corrige de a una hora.
+function inicioDelDia(anio, mes, dia) {
+  const objetivo = Date.UTC(anio, mes - 1, dia);
+  const mediodia = new Date(objetivo + 12 * HORA_MS);
+  const { hour, minute, second } = partesEnZona(mediodia);
+  let inicio = mediodia.getTime() - ((hour * 60 + minute) * 60 + second) * 1000;
+
+  while (diaEnZona(new Date(inicio)) < objetivo) {
+    inicio += HORA_MS;
+  }
+  return new Date(inicio);
+}
+
+// [año, mes, día] de una fecha sin hora ("2025-01-31"), o null si trae hora
+function leerSoloFecha(valor, campo) {
+  const partes = SOLO_FECHA.exec(String(valor));
+  if (!partes) {
+    return null;
+  }
+
+  const [anio, mes, dia] = partes.slice(1).map(Number);
+  const fecha = new Date(Date.UTC(anio, mes - 1, dia));
+  if (fecha.getUTCMonth() !== mes - 1 || fecha.getUTCDate() !== dia) {
+    throw new Error(`El campo ${campo} no es una fecha válida`);
+  }
+  return [anio, mes, dia];
+}
+
+// Las fechas viajan por GraphQL como String: aceptar ISO ("2025-01-31") o
+// milisegundos ("1738281600000"), que es como se serializan al responder.
+// Una fecha sin hora es el comienzo de ese día en Santiago.
+function parsearFecha(valor, campo = "fecha") {
+  if (valor === undefined || valor === null || valor === "") {
+    return undefined;
+  }
+
+  const soloFecha = leerSoloFecha(valor, campo);
+  const fecha = soloFecha
+    ? inicioDelDia(...soloFecha)
+    : /^\d+$/.test(String(valor))
+    ? new Date(Number(valor))
+    : new Date(valor);
+
+  if (Number.isNaN(fecha.getTime())) {
+    throw new Error(`El campo ${campo} no es una fecha válida`);
+  }
+
+  return fecha;
+}
+
+// Para el límite superior de un rango ($lte): una fecha sin hora incluye
+// todo ese día, hasta el último milisegundo en Santiago
+function parsearFechaHasta(valor, campo = "hasta") {
+  const soloFecha = valor ? leerSoloFecha(valor, campo) : null;
+  if (!soloFecha) {
+    return parsearFecha(valor, campo);
+  }
+
+  const [anio, mes, dia] = soloFecha;
+  const siguiente = new Date(Date.UTC(anio, mes - 1, dia + 1));
+  const fin = inicioDelDia(
+    siguiente.getUTCFullYear(),
+    siguiente.getUTCMonth() + 1,
+    siguiente.getUTCDate()
+  );
+  return new Date(fin.getTime() - 1);
+}
+
+// AAAA-MM-DD del día en Santiago, para mostrar fechas en reportes
+const formatearFecha = (fecha) => {
+  if (!fecha) {
+    return "";
+  }
+  const { year, month, day } = partesEnZona(new Date(fecha));
+  return [year, month, day]
+    .map((parte, i) => String(parte).padStart(i ? 2 : 4, "0"))
+    .join("-");
+};
+
+module.exports = {
+  ZONA_HORARIA,
+  parsearFecha,
+  parsearFechaHasta,
+  formatearFecha,
+};
@@ -0,0 +1,124 @@
+const { parsearFecha, parsearFechaHasta } = require("./fechas");
+const { escaparRegex } = require("./texto");
+
+// Campos por los que se puede ordenar un listado de pedidos
+const CAMPOS_ORDEN_PEDIDOS = ["creado", "total", "numeropedido", "estado"];
+
+// Traduce un PedidoFiltro a una consulta de Mongo. Un vendedor solo ve sus
+// pedidos aunque pida los de otro
+function construirFiltroPedidos(filtro = {}, usuario) {
+  const query = {};
+
+  const desde = parsearFecha(filtro.desde, "desde");
+  const hasta = parsearFechaHasta(filtro.hasta, "hasta");
+  if (desde && hasta && desde > hasta) {
+    throw new Error("La fecha desde no puede ser posterior a hasta");
+  }
+  if (desde || hasta) {
+    query.creado = {};
+    if (desde) query.creado.$gte = desde;
+    if (hasta) query.creado.$lte = hasta;
+  }
+
+  if (filtro.estados?.length) {
+    query.estado = { $in: filtro.estados };
+  }
+  if (filtro.proveedor) query.proveedor = filtro.proveedor;
+  if (filtro.cliente) query.cliente = filtro.cliente;
+  if (filtro.vendedor) query.vendedor = filtro.vendedor;
+  if (usuario?.role !== "administrador") {
+    query.vendedor = usuario?.id;
+  }
+
+  const { totalMin, totalMax } = filtro;
+  if (totalMin != null && totalMax != null && totalMin > totalMax) {
+    throw new Error("El total mínimo no puede ser mayor al máximo");
+  }
+  if (totalMin != null || totalMax != null) {
+    query.total = {};
+    if (totalMin != null) query.total.$gte = totalMin;
+    if (totalMax != null) query.total.$lte = totalMax;
+  }
+
+  if (typeof filtro.comisionPagada === "boolean") {
+    query.comisionPagada = filtro.comisionPagada;
+  }
+
+  const texto = filtro.texto?.trim();
+  if (texto) {
+    const regex = new RegExp(escaparRegex(texto), "i");
+    query.$or = [{ numeropedido: regex }, { notas: regex }];
+  }
+
+  return query;
+}
+
+// PedidoOrden -> { campo, direccion } (por defecto creado descendente)
+function construirOrdenPedidos(orden = {}) {
+  const campo = orden.campo || "creado";
+  if (!CAMPOS_ORDEN_PEDIDOS.includes(campo)) {
+    throw new Error(`No se puede ordenar por ${campo}`);
+  }
+  return { campo, direccion: orden.direccion === "ASC" ? 1 : -1 };
+}
+
+// Mismo filtro desde los parámetros de la URL de la exportación, p. ej.
+// ?desde=2025-01-01&estados=Aprobado,Entregado&totalMin=10000&orden=total:asc
+function filtroDesdeQuery(params = {}) {
+  const numero = (valor, campo) => {
+    if (valor === undefined || valor === "") return undefined;
+    const resultado = Number(valor);
+    if (Number.isNaN(resultado)) {
+      throw new Error(`El campo ${campo} debe ser un número`);
+    }
+    return resultado;
+  };
+
+  // Se validan aquí, antes de empezar la descarga: un error al recorrer el
+  // cursor ya no puede responder 400
+  const id = (valor, campo) => {
+    if (valor === undefined || valor === "") return undefined;
+    if (typeof valor !== "string" || !/^[0-9a-f]{24}$/i.test(valor)) {
+      throw new Error(`El campo ${campo} no es un id válido`);
+    }
+    return valor;
+  };
+  const fecha = (valor, campo, parsear) => {
+    if (valor !== undefined && typeof valor !== "string") {
+      throw new Error(`El campo ${campo} no es una fecha válida`);
+    }
+    parsear(valor, campo);
+    return valor;
+  };
+
+  const [campo, direccion] = (params.orden || "").split(":");
+
+  return {
+    filtro: {
+      desde: fecha(params.desde, "desde", parsearFecha),
+      hasta: fecha(params.hasta, "hasta", parsearFechaHasta),
+      estados: params.estados ? String(params.estados).split(",") : undefined,
+      proveedor: id(params.proveedor, "proveedor"),
+      vendedor: id(params.vendedor, "vendedor"),
+      cliente: id(params.cliente, "cliente"),
+      totalMin: numero(params.totalMin, "totalMin"),
+      totalMax: numero(params.totalMax, "totalMax"),
+      comisionPagada:
+        params.comisionPagada === undefined
+          ? undefined
+          : params.comisionPagada === "true",
+      texto: params.texto,
+    },
+    orden: {
+      campo: campo || undefined,
+      direccion: direccion?.toUpperCase(),
+    },
+  };
+}
+
+module.exports = {
+  CAMPOS_ORDEN_PEDIDOS,
+  construirFiltroPedidos,
+  construirOrdenPedidos,
+  filtroDesdeQuery,
+};
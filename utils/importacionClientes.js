@@ -0,0 +1,162 @@
+const Cliente = require("../models/Cliente");
+const { validarRUT, formatearRUT } = require("./rut");
+const { resolverDireccion } = require("./territorio");
+const { COLACION_SIN_MAYUSCULAS } = require("./texto");
+
+const CAMPOS_CLIENTE = [
+  "nombre",
+  "email",
+  "telefono",
+  "rut",
+  "direccioncalle",
+  "direccionnumero",
+  "direcciondepto",
+  "direccioncomuna",
+  "direccionregion",
+  "direccionprovincia",
+];
+
+// Por defecto cada campo se lee de la columna con su mismo nombre
+const MAPEO_POR_DEFECTO = Object.fromEntries(
+  CAMPOS_CLIENTE.map((campo) => [campo, campo])
+);
+
+const EMAIL_VALIDO = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function leerFila(fila, mapeo) {
+  const datos = {};
+  for (const campo of CAMPOS_CLIENTE) {
+    const columna = mapeo[campo];
+    const valor = columna ? String(fila[columna] ?? "").trim() : "";
+    if (valor) datos[campo] = valor;
+  }
+
+  const errores = [];
+  if (!datos.nombre) {
+    errores.push("Falta el nombre");
+  }
+  if (!datos.email) {
+    errores.push("Falta el email");
+  } else {
+    datos.email = datos.email.toLowerCase();
+    if (!EMAIL_VALIDO.test(datos.email)) {
+      errores.push(`Email no válido: ${datos.email}`);
+    }
+  }
+  if (datos.rut) {
+    if (!validarRUT(datos.rut)) {
+      errores.push(`RUT no válido: ${datos.rut}`);
+    } else {
+      datos.rut = formatearRUT(datos.rut);
+    }
+  }
+
+  if (datos.direccioncomuna || datos.direccionregion) {
+    try {
+      const { comuna, provincia, region } = resolverDireccion({
+        comuna: datos.direccioncomuna,
+        region: datos.direccionregion,
+      });
+      if (comuna) datos.direccioncomuna = comuna;
+      if (provincia) datos.direccionprovincia = provincia;
+      if (region) datos.direccionregion = region;
+    } catch (error) {
+      errores.push(error.message);
+    }
+  }
+
+  return { datos, errores };
+}
+
+// Importa clientes para un vendedor. Se omiten las filas con errores o ya
+// registradas (mismo email en cualquier cartera, mismo RUT en la del
+// vendedor) y se informa cada una con su número de fila
+async function importarClientes(filas, { vendedor, mapeo } = {}) {
+  const leidas = filas.map((fila, i) => ({
+    fila: i + 2, // La fila 1 son los encabezados
+    ...leerFila(fila, { ...MAPEO_POR_DEFECTO, ...mapeo }),
+  }));
+
+  // Se trae toda la cartera del vendedor para comparar RUT aunque alguno
+  // antiguo no esté normalizado
+  const emails = leidas.map(({ datos }) => datos.email).filter(Boolean);
+  // Sin distinguir mayúsculas: hay emails antiguos guardados tal cual
+  const existentes = await Cliente.find({
+    $or: [{ email: { $in: emails } }, { vendedor }],
+  })
+    .collation(COLACION_SIN_MAYUSCULAS)
+    .select("email rut vendedor")
+    .lean();
+
+  const emailsUsados = new Set(existentes.map((c) => c.email.toLowerCase()));
+  const rutsUsados = new Set(
+    existentes
+      .filter((c) => c.vendedor.toString() === String(vendedor) && c.rut)
+      .map((c) => formatearRUT(c.rut) || c.rut)
+  );
+
+  const errores = [];
+  const porInsertar = [];
+  for (const { fila, datos, errores: erroresFila } of leidas) {
+    if (!erroresFila.length) {
+      if (emailsUsados.has(datos.email)) {
+        erroresFila.push(`Ya existe un cliente con el email ${datos.email}`);
+      }
+      if (datos.rut && rutsUsados.has(datos.rut)) {
+        erroresFila.push(`Ya tienes un cliente con el RUT ${datos.rut}`);
+      }
+    }
+    if (erroresFila.length) {
+      errores.push({
+        fila,
+        email: datos.email,
+        mensaje: erroresFila.join("; "),
+      });
+      continue;
+    }
+
+    // Los repetidos dentro del mismo archivo cuentan como existentes
+    emailsUsados.add(datos.email);
+    if (datos.rut) rutsUsados.add(datos.rut);
+    porInsertar.push({ fila, cliente: { ...datos, vendedor } });
+  }
+
+  let creados = porInsertar.length;
+  if (porInsertar.length) {
+    try {
+      await Cliente.insertMany(
+        porInsertar.map(({ cliente }) => cliente),
+        { ordered: false }
+      );
+    } catch (error) {
+      // Otro vendedor pudo registrar el mismo email mientras tanto
+      if (!error.writeErrors) {
+        throw error;
+      }
+      for (const { index, errmsg } of error.writeErrors) {
+        const { fila, cliente } = porInsertar[index];
+        errores.push({
+          fila,
+          email: cliente.email,
+          mensaje:
+            error.code === 11000 || /E11000/.test(errmsg)
+              ? `Ya existe un cliente con el email ${cliente.email}`
+              : errmsg,
+        });
+      }
+      creados -= error.writeErrors.length;
+    }
+  }
+
+  return {
+    filas: filas.length,
+    creados,
+    errores: errores.sort((a, b) => a.fila - b.fila),
+  };
+}
+
+module.exports = {
+  CAMPOS_CLIENTE,
+  MAPEO_POR_DEFECTO,
+  importarClientes,
+};
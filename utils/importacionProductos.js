@@ -0,0 +1,233 @@
+const mongoose = require("mongoose");
+const Producto = require("../models/Producto");
+const { registrarMovimientosMasivos } = require("./inventario");
+
+// Columnas del archivo que corresponden a cada campo de Producto. Cada
+// proveedor manda su lista con sus propios encabezados, así que el mapeo
+// se puede cambiar en cada carga
+const MAPEO_POR_DEFECTO = {
+  skuproveedor: "skuproveedor",
+  skuproducto: "skuproducto",
+  nombre: "nombre",
+  descripcion: "descripcion",
+  precio: "precio",
+  costo: "costo",
+  existencia: "existencia",
+};
+
+const CAMPOS_TEXTO = ["nombre", "descripcion"];
+const CAMPOS_NUMERO = ["precio", "costo", "existencia"];
+const CAMPOS_CREACION = ["nombre", "precio", "costo"];
+
+// Números como los escriben las planillas chilenas: "$1.234,5", "1234.5"
+function parsearNumero(valor) {
+  let texto = String(valor).replace(/[$\s]/g, "");
+  if (texto.includes(",")) {
+    texto = texto.replace(/\./g, "").replace(",", ".");
+  } else if (/^\d{1,3}(\.\d{3})+$/.test(texto)) {
+    texto = texto.replace(/\./g, "");
+  }
+  const numero = Number(texto);
+  return texto === "" || Number.isNaN(numero) ? null : numero;
+}
+
+// Convierte una fila del archivo en datos de producto según el mapeo
+function leerFila(fila, mapeo, skuproveedorFijo) {
+  const datos = {};
+  const errores = [];
+  const valor = (campo) => {
+    const columna = mapeo[campo];
+    const crudo = columna ? fila[columna] : undefined;
+    return crudo === undefined || crudo === null ? "" : String(crudo).trim();
+  };
+
+  datos.skuproveedor = skuproveedorFijo || valor("skuproveedor");
+  datos.skuproducto = valor("skuproducto");
+  if (!datos.skuproveedor || !datos.skuproducto) {
+    errores.push("Faltan skuproveedor o skuproducto");
+  }
+
+  for (const campo of CAMPOS_TEXTO) {
+    if (valor(campo)) datos[campo] = valor(campo);
+  }
+  for (const campo of CAMPOS_NUMERO) {
+    if (!valor(campo)) continue;
+    const numero = parsearNumero(valor(campo));
+    if (numero === null || numero < 0) {
+      errores.push(`${campo} no es un número válido: ${valor(campo)}`);
+    } else if (campo === "existencia" && !Number.isInteger(numero)) {
+      errores.push(`existencia debe ser un número entero: ${valor(campo)}`);
+    } else {
+      datos[campo] = numero;
+    }
+  }
+
+  return { datos, errores };
+}
+
+const clave = ({ skuproveedor, skuproducto }) =>
+  `${skuproveedor}\u0000${skuproducto}`;
+
+// Compara el archivo con el catálogo sin escribir nada. Devuelve el plan
+// (creaciones y actualizaciones) y el reporte que se muestra al usuario
+async function analizarImportacion(
+  filas,
+  { mapeo = MAPEO_POR_DEFECTO, skuproveedor, session } = {}
+) {
+  const leidas = filas.map((fila, i) => ({
+    fila: i + 2, // La fila 1 son los encabezados
+    ...leerFila(fila, { ...MAPEO_POR_DEFECTO, ...mapeo }, skuproveedor),
+  }));
+
+  // Productos existentes, buscados por proveedor + código en una consulta
+  const pares = leidas
+    .filter(({ errores }) => !errores.length)
+    .map(({ datos }) => ({
+      skuproveedor: datos.skuproveedor,
+      skuproducto: datos.skuproducto,
+    }));
+  const existentes = pares.length
+    ? await Producto.find({ $or: pares })
+        .session(session || null)
+        .lean()
+    : [];
+  const porClave = new Map(existentes.map((p) => [clave(p), p]));
+
+  const reporte = {
+    crear: [],
+    actualizar: [],
+    cambiosPrecio: [],
+    sinCambios: 0,
+    errores: [],
+  };
+  const plan = { crear: [], actualizar: [] };
+  const vistas = new Set();
+
+  for (const { fila, datos, errores } of leidas) {
+    const sku = `${datos.skuproveedor}${datos.skuproducto}`;
+    if (!errores.length && vistas.has(clave(datos))) {
+      errores.push("Producto repetido en el archivo");
+    }
+    const actual = porClave.get(clave(datos));
+    if (!errores.length && !actual) {
+      const faltantes = CAMPOS_CREACION.filter((c) => datos[c] === undefined);
+      if (faltantes.length) {
+        errores.push(`Producto nuevo sin ${faltantes.join(", ")}`);
+      }
+    }
+    if (errores.length) {
+      reporte.errores.push({ fila, sku, mensaje: errores.join("; ") });
+      continue;
+    }
+    vistas.add(clave(datos));
+
+    if (!actual) {
+      const nuevo = { existencia: 0, ...datos, sku };
+      plan.crear.push(nuevo);
+      reporte.crear.push({ fila, sku, nombre: nuevo.nombre });
+      continue;
+    }
+
+    const cambios = Object.keys(datos)
+      .filter((campo) => datos[campo] !== actual[campo])
+      .map((campo) => ({
+        campo,
+        anterior: actual[campo] ?? null,
+        nuevo: datos[campo],
+      }));
+    if (!cambios.length) {
+      reporte.sinCambios += 1;
+      continue;
+    }
+
+    plan.actualizar.push({ actual, datos });
+    reporte.actualizar.push({ fila, sku, nombre: actual.nombre, cambios });
+
+    const precio = cambios.find((c) => c.campo === "precio");
+    if (precio) {
+      reporte.cambiosPrecio.push({
+        sku,
+        nombre: datos.nombre || actual.nombre,
+        precioAnterior: precio.anterior,
+        precioNuevo: precio.nuevo,
+        variacion: precio.anterior
+          ? Math.round(
+              ((precio.nuevo - precio.anterior) / precio.anterior) * 1000
+            ) / 10
+          : null,
+      });
+    }
+  }
+
+  return { plan, reporte };
+}
+
+// Aplica la importación en una transacción: el análisis se repite dentro
+// para no pisar cambios hechos después de la vista previa
+async function aplicarImportacion(filas, { usuario, ...opciones } = {}) {
+  const session = await mongoose.startSession();
+  try {
+    let resultado;
+    await session.withTransaction(async () => {
+      resultado = await analizarImportacion(filas, { ...opciones, session });
+      const { crear, actualizar } = resultado.plan;
+
+      const operaciones = [
+        ...crear.map((datos) => ({
+          insertOne: {
+            document: { ...datos, busqueda: Producto.textoBusqueda(datos) },
+          },
+        })),
+        ...actualizar.map(({ actual, datos }) => ({
+          updateOne: {
+            filter: { _id: actual._id },
+            update: {
+              $set: {
+                ...datos,
+                busqueda: Producto.textoBusqueda({ ...actual, ...datos }),
+              },
+            },
+          },
+        })),
+      ];
+      if (!operaciones.length) {
+        return;
+      }
+
+      const escrito = await Producto.bulkWrite(operaciones, {
+        session,
+        ordered: true,
+      });
+
+      // Kardex: existencia inicial de los nuevos y ajustes de los demás
+      const idsCreados = Object.values(escrito.insertedIds || {});
+      await registrarMovimientosMasivos(
+        [
+          ...crear.map((datos, i) => ({
+            producto: idsCreados[i],
+            tipo: "entrada",
+            existenciaAnterior: 0,
+            existenciaNueva: datos.existencia,
+          })),
+          ...actualizar
+            .filter(({ datos }) => datos.existencia !== undefined)
+            .map(({ actual, datos }) => ({
+              producto: actual._id,
+              existenciaAnterior: actual.existencia,
+              existenciaNueva: datos.existencia,
+            })),
+        ],
+        { session, usuario, motivo: "Importación de lista de precios" }
+      );
+    });
+    return resultado.reporte;
+  } finally {
+    await session.endSession();
+  }
+}
+
+module.exports = {
+  MAPEO_POR_DEFECTO,
+  analizarImportacion,
+  aplicarImportacion,
+};
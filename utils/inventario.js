@@ -0,0 +1,242 @@
+const Producto = require("../models/Producto");
+const MovimientoInventario = require("../models/MovimientoInventario");
+const { PROYECCION_PUBLICA } = require("./usuarios");
+
+// Errores de stock que se pueden mostrar tal cual al usuario
+class ErrorInventario extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ErrorInventario";
+  }
+}
+
+const validarCantidad = (productoId, cantidad) => {
+  if (!Number.isInteger(cantidad) || cantidad <= 0) {
+    throw new ErrorInventario(
+      `Cantidad inválida para el producto con ID ${productoId}`
+    );
+  }
+};
+
+async function registrarMovimiento(
+  producto,
+  tipo,
+  existenciaAnterior,
+  { session, origen = "pedido", pedido, usuario, motivo } = {}
+) {
+  const existenciaNueva = producto.existencia;
+
+  await MovimientoInventario.create(
+    [
+      {
+        producto: producto._id,
+        tipo,
+        cantidad: Math.abs(existenciaNueva - existenciaAnterior),
+        existenciaAnterior,
+        existenciaNueva,
+        origen,
+        pedido,
+        usuario,
+        motivo,
+      },
+    ],
+    { session }
+  );
+}
+
+// Descuenta `cantidad` unidades solo si hay existencia suficiente. La
+// condición y el descuento van en la misma operación, así dos pedidos
+// simultáneos del mismo producto no pueden vender más de lo que hay.
+async function descontarExistencia(productoId, cantidad, opciones = {}) {
+  validarCantidad(productoId, cantidad);
+  const { session } = opciones;
+
+  const producto = await Producto.findOneAndUpdate(
+    { _id: productoId, existencia: { $gte: cantidad } },
+    { $inc: { existencia: -cantidad } },
+    { new: true, session }
+  );
+
+  if (!producto) {
+    const existe = await Producto.findById(productoId).session(session);
+    if (!existe) {
+      throw new ErrorInventario(`Producto con ID ${productoId} no encontrado`);
+    }
+    throw new ErrorInventario(
+      `El artículo ${existe.nombre} excede la cantidad disponible`
+    );
+  }
+
+  await registrarMovimiento(
+    producto,
+    "salida",
+    producto.existencia + cantidad,
+    opciones
+  );
+
+  return producto;
+}
+
+// Devuelve unidades al stock. Si el producto ya no existe no hay nada que
+// reponer y se devuelve null.
+async function devolverExistencia(productoId, cantidad, opciones = {}) {
+  validarCantidad(productoId, cantidad);
+  const { session } = opciones;
+
+  const producto = await Producto.findByIdAndUpdate(
+    productoId,
+    { $inc: { existencia: cantidad } },
+    { new: true, session }
+  );
+
+  if (!producto) {
+    console.warn(`Producto con ID ${productoId} no encontrado, no se repone`);
+    return null;
+  }
+
+  await registrarMovimiento(
+    producto,
+    "entrada",
+    producto.existencia - cantidad,
+    opciones
+  );
+
+  return producto;
+}
+
+// Repone el stock de todas las líneas de un pedido
+async function devolverStockPedido(pedido, opciones = {}) {
+  for (const { id, cantidad } of pedido.pedido) {
+    if (cantidad > 0) {
+      await devolverExistencia(id, cantidad, {
+        ...opciones,
+        pedido: pedido._id,
+      });
+    }
+  }
+}
+
+// Registra la existencia inicial de un producto recién creado
+async function registrarExistenciaInicial(producto, opciones = {}) {
+  if (producto.existencia > 0) {
+    await registrarMovimiento(producto, "entrada", 0, {
+      origen: "manual",
+      motivo: "Existencia inicial",
+      ...opciones,
+    });
+  }
+}
+
+// Fija la existencia en un valor absoluto (conteo físico, edición manual o
+// lista de precios) y registra la diferencia como ajuste
+async function fijarExistencia(productoId, existencia, opciones = {}) {
+  if (!Number.isInteger(existencia) || existencia < 0) {
+    throw new ErrorInventario(
+      `Existencia inválida para el producto con ID ${productoId}`
+    );
+  }
+  const { session } = opciones;
+
+  const anterior = await Producto.findByIdAndUpdate(
+    productoId,
+    { $set: { existencia } },
+    { new: false, session }
+  );
+
+  if (!anterior) {
+    throw new ErrorInventario(`Producto con ID ${productoId} no encontrado`);
+  }
+
+  if (anterior.existencia !== existencia) {
+    await registrarMovimiento(
+      { _id: anterior._id, existencia },
+      "ajuste",
+      anterior.existencia,
+      { origen: "manual", ...opciones }
+    );
+  }
+}
+
+// Registra de una vez los movimientos de una carga masiva, donde la
+// existencia ya se escribió con bulkWrite. movimientos: [{ producto,
+// existenciaAnterior, existenciaNueva, tipo }] (tipo por defecto ajuste)
+async function registrarMovimientosMasivos(movimientos, opciones = {}) {
+  const { session, origen = "importacion", usuario, motivo } = opciones;
+
+  const documentos = movimientos
+    .filter((m) => m.existenciaAnterior !== m.existenciaNueva)
+    .map(({ producto, existenciaAnterior, existenciaNueva, tipo }) => ({
+      producto,
+      tipo: tipo || "ajuste",
+      cantidad: Math.abs(existenciaNueva - existenciaAnterior),
+      existenciaAnterior,
+      existenciaNueva,
+      origen,
+      usuario,
+      motivo,
+    }));
+
+  if (documentos.length) {
+    await MovimientoInventario.insertMany(documentos, { session });
+  }
+}
+
+// Kardex: movimientos de un producto en orden cronológico
+async function obtenerKardex(productoId, { desde, hasta } = {}) {
+  const query = { producto: productoId };
+  if (desde || hasta) {
+    query.fecha = {};
+    if (desde) query.fecha.$gte = desde;
+    if (hasta) query.fecha.$lte = hasta;
+  }
+
+  return await MovimientoInventario.find(query)
+    .sort({ fecha: 1, _id: 1 })
+    .populate("usuario", PROYECCION_PUBLICA)
+    .populate("pedido");
+}
+
+// Existencia que tenía un producto en una fecha: la actual menos todo lo
+// que se movió después. Así también funciona para productos con stock
+// anterior al registro de movimientos.
+async function existenciaEnFecha(productoId, fecha) {
+  const producto = await Producto.findById(productoId);
+  if (!producto) {
+    throw new ErrorInventario(`Producto con ID ${productoId} no encontrado`);
+  }
+
+  if (producto.creado > fecha) {
+    return 0;
+  }
+
+  const [posteriores] = await MovimientoInventario.aggregate([
+    {
+      $match: {
+        producto: producto._id,
+        fecha: { $gt: fecha },
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        diferencia: {
+          $sum: { $subtract: ["$existenciaNueva", "$existenciaAnterior"] },
+        },
+      },
+    },
+  ]);
+
+  return producto.existencia - (posteriores ? posteriores.diferencia : 0);
+}
+
+module.exports = {
+  ErrorInventario,
+  descontarExistencia,
+  devolverExistencia,
+  devolverStockPedido,
+  registrarExistenciaInicial,
+  fijarExistencia,
+  registrarMovimientosMasivos,
+  obtenerKardex,
+  existenciaEnFecha,
+};
@@ -0,0 +1,153 @@
+const mongoose = require("mongoose");
+const Liquidacion = require("../models/Liquidacion");
+const Pedido = require("../models/Pedido");
+const { registrarPagoComision } = require("./comisiones");
+
+// Agrupa los pedidos entregados del vendedor en el período que aún no
+// tienen comisión pagada ni están en otra liquidación
+async function crearLiquidacion({ vendedorId, desde, hasta, creadoPor }) {
+  if (desde > hasta) {
+    throw new Error("La fecha desde no puede ser posterior a hasta");
+  }
+
+  const session = await mongoose.startSession();
+  let liquidacion;
+
+  try {
+    await session.withTransaction(async () => {
+      const pedidos = await Pedido.find({
+        vendedor: vendedorId,
+        estado: "Entregado",
+        comisionPagada: false,
+        liquidacion: null,
+        creado: { $gte: desde, $lte: hasta },
+      })
+        .sort({ creado: 1 })
+        .session(session);
+
+      if (pedidos.length === 0) {
+        throw new Error("No hay comisiones pendientes en ese período");
+      }
+
+      const detalle = [];
+      for (const pedido of pedidos) {
+        await pedido.actualizarComision();
+        detalle.push({
+          pedido: pedido._id,
+          numeropedido: pedido.numeropedido,
+          subtotal: pedido.subtotal,
+          comision: pedido.comision,
+        });
+      }
+
+      [liquidacion] = await Liquidacion.create(
+        [
+          {
+            vendedor: vendedorId,
+            desde,
+            hasta,
+            pedidos: detalle,
+            total: detalle.reduce((suma, { comision }) => suma + comision, 0),
+            creadoPor,
+          },
+        ],
+        { session }
+      );
+
+      // Guardar cada pedido deja persistida la comisión calculada arriba,
+      // que en pedidos antiguos no estaba en la base
+      for (const pedido of pedidos) {
+        pedido.liquidacion = liquidacion._id;
+        await pedido.save({ session });
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return liquidacion;
+}
+
+// Aprobar paga todas las comisiones de la liquidación o ninguna
+async function aprobarLiquidacion(id, aprobadoPor) {
+  const session = await mongoose.startSession();
+  let liquidacion;
+
+  try {
+    await session.withTransaction(async () => {
+      liquidacion = await Liquidacion.findById(id).session(session);
+      if (!liquidacion) {
+        throw new Error("La liquidación no existe");
+      }
+      if (liquidacion.estado !== "borrador") {
+        throw new Error(`La liquidación ya está ${liquidacion.estado}`);
+      }
+
+      for (const { pedido: pedidoId, comision } of liquidacion.pedidos) {
+        const pedido = await Pedido.findById(pedidoId).session(session);
+        if (!pedido) {
+          throw new Error(`El pedido ${pedidoId} ya no existe`);
+        }
+        // Comparar contra el monto vigente, no contra el guardado
+        await pedido.actualizarComision();
+        if (pedido.comision !== comision) {
+          throw new Error(
+            `La comisión del pedido ${pedido.numeropedido} cambió, anula y vuelve a crear la liquidación`
+          );
+        }
+
+        await registrarPagoComision(pedido, {
+          session,
+          pagadoPor: aprobadoPor,
+          liquidacion: liquidacion._id,
+        });
+      }
+
+      liquidacion.estado = "aprobada";
+      liquidacion.aprobadoPor = aprobadoPor;
+      liquidacion.fechaAprobacion = new Date();
+      await liquidacion.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return liquidacion;
+}
+
+// Anular libera los pedidos para una nueva liquidación
+async function anularLiquidacion(id) {
+  const session = await mongoose.startSession();
+  let liquidacion;
+
+  try {
+    await session.withTransaction(async () => {
+      liquidacion = await Liquidacion.findById(id).session(session);
+      if (!liquidacion) {
+        throw new Error("La liquidación no existe");
+      }
+      if (liquidacion.estado !== "borrador") {
+        throw new Error("Solo se puede anular una liquidación en borrador");
+      }
+
+      await Pedido.updateMany(
+        { liquidacion: liquidacion._id },
+        { $unset: { liquidacion: 1 } },
+        { session }
+      );
+
+      liquidacion.estado = "anulada";
+      await liquidacion.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return liquidacion;
+}
+
+module.exports = {
+  crearLiquidacion,
+  aprobarLiquidacion,
+  anularLiquidacion,
+};
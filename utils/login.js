@@ -0,0 +1,152 @@
+const bcryptjs = require("bcryptjs");
+const Usuario = require("../models/Usuario");
+const IntentoLogin = require("../models/IntentoLogin");
+
+// Mismo mensaje para email inexistente y password incorrecto, así no se
+// puede averiguar qué cuentas existen
+const MENSAJE_FALLO = "Email o password incorrectos";
+const MENSAJE_BLOQUEO = "Demasiados intentos fallidos, intenta más tarde";
+
+// Fallos seguidos antes de bloquear la cuenta; desde ahí el bloqueo se
+// duplica en cada nuevo fallo (1, 2, 4, 8... minutos, máximo un día)
+const INTENTOS_ANTES_DE_BLOQUEO = 5;
+const BLOQUEO_BASE_MS = 60 * 1000;
+const BLOQUEO_MAXIMO_MS = 24 * 60 * 60 * 1000;
+
+// Fallos permitidos por IP dentro de la ventana
+const INTENTOS_POR_IP = 20;
+const VENTANA_IP_MS = 15 * 60 * 1000;
+
+// Hash para comparar cuando el usuario no existe y tardar lo mismo
+const HASH_FALSO = bcryptjs.hashSync("password-inexistente", 10);
+
+const duracionBloqueo = (intentosFallidos) => {
+  const exceso = intentosFallidos - INTENTOS_ANTES_DE_BLOQUEO;
+  return Math.min(BLOQUEO_BASE_MS * 2 ** exceso, BLOQUEO_MAXIMO_MS);
+};
+
+const registrarIntento = (datos) =>
+  IntentoLogin.create(datos).catch((error) =>
+    console.error("Error al registrar el intento de login:", error)
+  );
+
+async function ipBloqueada(ip) {
+  if (!ip) {
+    return false;
+  }
+  const fallos = await IntentoLogin.countDocuments({
+    ip,
+    exito: false,
+    fecha: { $gte: new Date(Date.now() - VENTANA_IP_MS) },
+  });
+  return fallos >= INTENTOS_POR_IP;
+}
+
+// Un email sin cuenta se bloquea igual que una cuenta, contando sus fallos
+// en IntentoLogin; si no, el bloqueo delataría qué emails están registrados
+async function bloqueoEmailInexistente(email) {
+  const filtro = {
+    email: String(email).toLowerCase().trim(),
+    motivo: "usuario_inexistente",
+  };
+  const intentosFallidos = await IntentoLogin.countDocuments(filtro);
+  if (intentosFallidos < INTENTOS_ANTES_DE_BLOQUEO) {
+    return null;
+  }
+
+  const ultimo = await IntentoLogin.findOne(filtro).sort({ fecha: -1 });
+  return new Date(ultimo.fecha.getTime() + duracionBloqueo(intentosFallidos));
+}
+
+// Verifica las credenciales aplicando los límites por IP y por cuenta.
+// Devuelve el usuario o lanza un error genérico.
+async function verificarCredenciales({ email, password, ip }) {
+  const intento = { email, ip };
+
+  if (await ipBloqueada(ip)) {
+    await registrarIntento({
+      ...intento,
+      exito: false,
+      motivo: "ip_bloqueada",
+    });
+    throw new Error(MENSAJE_BLOQUEO);
+  }
+
+  const usuario = await Usuario.findOne({ email }).select("+password");
+  if (!usuario) {
+    const bloqueadoHasta = await bloqueoEmailInexistente(email);
+    if (bloqueadoHasta && bloqueadoHasta > new Date()) {
+      await registrarIntento({
+        ...intento,
+        exito: false,
+        motivo: "cuenta_bloqueada",
+      });
+      throw new Error(MENSAJE_BLOQUEO);
+    }
+
+    await bcryptjs.compare(password, HASH_FALSO);
+    await registrarIntento({
+      ...intento,
+      exito: false,
+      motivo: "usuario_inexistente",
+    });
+    throw new Error(MENSAJE_FALLO);
+  }
+  intento.usuario = usuario._id;
+
+  if (usuario.bloqueadoHasta && usuario.bloqueadoHasta > new Date()) {
+    await registrarIntento({
+      ...intento,
+      exito: false,
+      motivo: "cuenta_bloqueada",
+    });
+    throw new Error(MENSAJE_BLOQUEO);
+  }
+
+  const passwordCorrecto = await bcryptjs.compare(password, usuario.password);
+  if (!passwordCorrecto) {
+    const { intentosFallidos } = await Usuario.findByIdAndUpdate(
+      usuario._id,
+      { $inc: { intentosFallidos: 1 } },
+      { new: true }
+    );
+    if (intentosFallidos >= INTENTOS_ANTES_DE_BLOQUEO) {
+      await Usuario.updateOne(
+        { _id: usuario._id },
+        {
+          $set: {
+            bloqueadoHasta: new Date(
+              Date.now() + duracionBloqueo(intentosFallidos)
+            ),
+          },
+        }
+      );
+    }
+    await registrarIntento({
+      ...intento,
+      exito: false,
+      motivo: "password_incorrecto",
+    });
+    throw new Error(MENSAJE_FALLO);
+  }
+
+  if (usuario.intentosFallidos || usuario.bloqueadoHasta) {
+    await desbloquearUsuario(usuario._id);
+  }
+  await registrarIntento({ ...intento, exito: true });
+
+  return usuario;
+}
+
+async function desbloquearUsuario(usuarioId) {
+  return await Usuario.findByIdAndUpdate(
+    usuarioId,
+    { $set: { intentosFallidos: 0 }, $unset: { bloqueadoHasta: 1 } },
+    { new: true }
+  );
+}
+
+module.exports = {
+  verificarCredenciales,
+  desbloquearUsuario,
+};
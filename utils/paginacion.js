@@ -0,0 +1,92 @@
+// Paginación por cursor al estilo Relay: { edges, pageInfo, totalCount }.
+// El orden siempre desempata por _id para que sea estable aunque varios
+// documentos compartan el valor del campo de orden.
+
+const LIMITE_POR_DEFECTO = 20;
+const LIMITE_MAXIMO = 100;
+
+// El cursor guarda el valor del campo de orden y el _id del último nodo
+const codificarCursor = (valor, id) =>
+  Buffer.from(
+    JSON.stringify(
+      valor instanceof Date ? { f: valor.getTime(), id } : { v: valor, id }
+    )
+  ).toString("base64url");
+
+function decodificarCursor(cursor) {
+  try {
+    const { f, v, id } = JSON.parse(
+      Buffer.from(cursor, "base64url").toString()
+    );
+    if (!id) {
+      throw new Error();
+    }
+    return { valor: f !== undefined ? new Date(f) : v, id };
+  } catch (error) {
+    throw new Error("Cursor no válido");
+  }
+}
+
+// Documentos que van después del cursor según el orden
+function filtroDespuesDe(cursor, campo, direccion) {
+  const { valor, id } = decodificarCursor(cursor);
+  const operador = direccion === 1 ? "$gt" : "$lt";
+  return {
+    $or: [
+      { [campo]: { [operador]: valor } },
+      { [campo]: valor, _id: { [operador]: id } },
+    ],
+  };
+}
+
+const limitarPagina = (first) =>
+  Math.min(Math.max(first || LIMITE_POR_DEFECTO, 1), LIMITE_MAXIMO);
+
+// orden: { campo, direccion } con direccion 1 o -1 (por defecto creado desc).
+// preparar permite agregar populate/select a la consulta.
+async function paginar(
+  Modelo,
+  query,
+  { first, after } = {},
+  { orden = { campo: "creado", direccion: -1 }, preparar } = {}
+) {
+  const { campo, direccion } = orden;
+  const limite = limitarPagina(first);
+
+  const filtro = after
+    ? { $and: [query, filtroDespuesDe(after, campo, direccion)] }
+    : query;
+
+  // Se pide uno de más para saber si hay otra página
+  let consulta = Modelo.find(filtro)
+    .sort({ [campo]: direccion, _id: direccion })
+    .limit(limite + 1);
+  if (preparar) {
+    consulta = preparar(consulta);
+  }
+  const documentos = await consulta;
+
+  const hasNextPage = documentos.length > limite;
+  const edges = documentos.slice(0, limite).map((node) => ({
+    node,
+    cursor: codificarCursor(node[campo], node._id.toString()),
+  }));
+
+  return {
+    edges,
+    pageInfo: {
+      hasNextPage,
+      hasPreviousPage: Boolean(after),
+      startCursor: edges[0]?.cursor || null,
+      endCursor: edges[edges.length - 1]?.cursor || null,
+    },
+    // Solo se cuenta si el cliente pide totalCount
+    totalCount: () => Modelo.countDocuments(query),
+  };
+}
+
+module.exports = {
+  LIMITE_MAXIMO,
+  limitarPagina,
+  paginar,
+};
@@ -0,0 +1,85 @@
+const crypto = require("crypto");
+const bcryptjs = require("bcryptjs");
+const Usuario = require("../models/Usuario");
+const { enviarCorreo } = require("./email");
+
+const LARGO_MINIMO = 8;
+const MINUTOS_RESET = Number(process.env.RESET_PASSWORD_MINUTOS) || 60;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+async function hashearPassword(password) {
+  const salt = await bcryptjs.genSalt(10);
+  return await bcryptjs.hash(password, salt);
+}
+
+function validarPasswordNuevo(password) {
+  if (!password || password.length < LARGO_MINIMO) {
+    throw new Error(
+      `El password debe tener al menos ${LARGO_MINIMO} caracteres`
+    );
+  }
+}
+
+// Genera un token de un solo uso y lo envía por correo. Si el email no
+// existe no se avisa, para no revelar qué cuentas están registradas.
+async function solicitarResetPassword(email) {
+  const usuario = await Usuario.findOne({ email });
+  if (!usuario) {
+    return;
+  }
+
+  const token = crypto.randomBytes(32).toString("hex");
+  await Usuario.updateOne(
+    { _id: usuario._id },
+    {
+      $set: {
+        resetPasswordHash: hashToken(token),
+        resetPasswordExpira: new Date(Date.now() + MINUTOS_RESET * 60000),
+      },
+    }
+  );
+
+  const enlace = process.env.FRONTEND_URL
+    ? `${process.env.FRONTEND_URL}/reset-password?token=${token}`
+    : token;
+
+  await enviarCorreo({
+    para: usuario.email,
+    asunto: "Recuperar password de Six Bridge",
+    texto: `Hola ${usuario.nombre}, para crear un nuevo password usa este enlace (válido por ${MINUTOS_RESET} minutos): ${enlace}\n\nSi no lo pediste, ignora este correo.`,
+  });
+}
+
+// Cambia el password con un token de reset vigente y lo consume
+async function resetPassword(token, passwordNuevo) {
+  validarPasswordNuevo(passwordNuevo);
+
+  const usuario = await Usuario.findOneAndUpdate(
+    {
+      resetPasswordHash: hashToken(token),
+      resetPasswordExpira: { $gt: new Date() },
+    },
+    { $unset: { resetPasswordHash: 1, resetPasswordExpira: 1 } }
+  );
+  if (!usuario) {
+    throw new Error(
+      "El enlace para recuperar el password no es válido o expiró"
+    );
+  }
+
+  await Usuario.updateOne(
+    { _id: usuario._id },
+    { $set: { password: await hashearPassword(passwordNuevo) } }
+  );
+
+  return usuario;
+}
+
+module.exports = {
+  hashearPassword,
+  validarPasswordNuevo,
+  solicitarResetPassword,
+  resetPassword,
+};
@@ -0,0 +1,132 @@
+// Lectura y escritura de planillas (CSV, XLSX y JSON Lines) para
+// importaciones y exportaciones
+const { once } = require("events");
+const ExcelJS = require("exceljs");
+const { csv2json } = require("json-2-csv");
+
+const FORMATOS_EXPORTACION = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  xlsx: {
+    contentType:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extension: "xlsx",
+  },
+  jsonl: { contentType: "application/x-ndjson", extension: "jsonl" },
+};
+
+// Lee la primera hoja de un XLSX o un CSV (separado por coma o punto y
+// coma) como una lista de objetos con los encabezados como llaves
+async function leerPlanilla(buffer, nombreArchivo = "") {
+  if (/\.xlsx$/i.test(nombreArchivo)) {
+    const libro = new ExcelJS.Workbook();
+    await libro.xlsx.load(buffer);
+    const hoja = libro.worksheets[0];
+    if (!hoja) {
+      return [];
+    }
+
+    const encabezados = [];
+    hoja.getRow(1).eachCell((celda, columna) => {
+      encabezados[columna] = String(celda.text).trim();
+    });
+
+    const filas = [];
+    hoja.eachRow((row, numero) => {
+      if (numero === 1) return;
+      const fila = {};
+      encabezados.forEach((encabezado, columna) => {
+        if (encabezado) fila[encabezado] = row.getCell(columna).text;
+      });
+      filas.push(fila);
+    });
+    return filas;
+  }
+
+  if (/\.csv$/i.test(nombreArchivo)) {
+    const texto = buffer.toString("utf8").replace(/^\uFEFF/, "");
+    const primeraLinea = texto.split(/\r?\n/, 1)[0];
+    const separador =
+      primeraLinea.split(";").length > primeraLinea.split(",").length
+        ? ";"
+        : ",";
+    return csv2json(texto, {
+      delimiter: { field: separador },
+      parseValue: (valor) => valor,
+      trimHeaderFields: true,
+      trimFieldValues: true,
+    });
+  }
+
+  throw new Error("El archivo debe ser .csv o .xlsx");
+}
+
+// Un texto que empieza con = + - @ (o tabulación/retorno) se abre como
+// fórmula en Excel; con un apóstrofo adelante queda como texto
+const INICIO_FORMULA = /^[=+\-@\t\r]/;
+const neutralizarFormula = (valor) =>
+  typeof valor === "string" && INICIO_FORMULA.test(valor) ? `'${valor}` : valor;
+
+const escaparCSV = (valor) => {
+  const texto =
+    valor === undefined || valor === null
+      ? ""
+      : String(neutralizarFormula(valor));
+  return /[",\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+};
+
+// Escritores por formato: iniciar(columnas), fila(objeto), terminar()
+function crearEscritor(formato, res, nombreHoja = "Datos") {
+  // Respeta la contrapresión de la respuesta; si el cliente se desconecta
+  // la exportación se detiene en el siguiente lote
+  const escribir = async (texto) => {
+    if (!res.write(texto)) {
+      await Promise.race([once(res, "drain"), once(res, "close")]);
+    }
+  };
+
+  if (formato === "xlsx") {
+    const libro = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+    const hoja = libro.addWorksheet(nombreHoja);
+    return {
+      iniciar: async (columnas) => {
+        hoja.columns = columnas.map((key) => ({ header: key, key }));
+      },
+      fila: async (fila) => {
+        const segura = {};
+        for (const [columna, valor] of Object.entries(fila)) {
+          segura[columna] = neutralizarFormula(valor);
+        }
+        hoja.addRow(segura).commit();
+      },
+      terminar: async () => {
+        hoja.commit();
+        await libro.commit();
+      },
+    };
+  }
+
+  if (formato === "jsonl") {
+    return {
+      iniciar: async () => {},
+      fila: (fila) => escribir(`${JSON.stringify(fila)}\n`),
+      terminar: async () => res.end(),
+    };
+  }
+
+  let columnas;
+  return {
+    iniciar: async (nuevas) => {
+      columnas = nuevas;
+      await escribir(`${columnas.join(",")}\n`);
+    },
+    fila: (fila) =>
+      escribir(`${columnas.map((c) => escaparCSV(fila[c])).join(",")}\n`),
+    terminar: async () => res.end(),
+  };
+}
+
+module.exports = {
+  FORMATOS_EXPORTACION,
+  leerPlanilla,
+  crearEscritor,
+};
@@ -0,0 +1,159 @@
+const Pedido = require("../models/Pedido");
+const Producto = require("../models/Producto");
+const Cliente = require("../models/Cliente");
+const Usuario = require("../models/Usuario");
+const Proveedor = require("../models/Proveedor");
+const { ZONA_HORARIA } = require("./fechas");
+
+const porFecha = (format) => ({
+  $dateToString: { format, date: "$creado", timezone: ZONA_HORARIA },
+});
+
+// Clave de agrupación para cada tipo de reporte
+const CLAVES = {
+  DIA: porFecha("%Y-%m-%d"),
+  SEMANA: porFecha("%G-S%V"), // Semana ISO
+  MES: porFecha("%Y-%m"),
+  VENDEDOR: "$vendedor",
+  PROVEEDOR: "$proveedor",
+  COMUNA: "$clienteDireccion.direccioncomuna",
+  REGION: "$clienteDireccion.direccionregion",
+  PRODUCTO: "$linea.sku",
+};
+
+const AGRUPACIONES_POR_FECHA = ["DIA", "SEMANA", "MES"];
+
+// Ventas agrupadas con ingresos, costo y margen. Se trabaja por línea de
+// pedido con el precio y costo guardados al vender; para pedidos antiguos
+// sin ese dato se usa el del producto.
+async function reporteVentas(agrupacion, { desde, hasta, estados } = {}) {
+  const clave = CLAVES[agrupacion];
+  if (!clave) {
+    throw new Error(`Agrupación ${agrupacion} no válida`);
+  }
+
+  const match = {
+    estado: estados?.length ? { $in: estados } : { $ne: "Cancelado" },
+  };
+  if (desde || hasta) {
+    match.creado = {};
+    if (desde) match.creado.$gte = desde;
+    if (hasta) match.creado.$lte = hasta;
+  }
+
+  const pipeline = [
+    { $match: match },
+    { $unwind: "$pedido" },
+    {
+      $lookup: {
+        from: Producto.collection.name,
+        let: {
+          productoId: {
+            $convert: {
+              input: "$pedido.id",
+              to: "objectId",
+              onError: null,
+              onNull: null,
+            },
+          },
+        },
+        pipeline: [
+          { $match: { $expr: { $eq: ["$_id", "$$productoId"] } } },
+          { $project: { precio: 1, costo: 1, sku: 1, nombre: 1 } },
+        ],
+        as: "producto",
+      },
+    },
+    { $set: { producto: { $arrayElemAt: ["$producto", 0] } } },
+    {
+      $set: {
+        linea: {
+          cantidad: { $ifNull: ["$pedido.cantidad", 0] },
+          precio: { $ifNull: ["$pedido.precio", "$producto.precio", 0] },
+          costo: { $ifNull: ["$pedido.costo", "$producto.costo", 0] },
+          sku: { $ifNull: ["$pedido.sku", "$producto.sku", "N/A"] },
+          nombre: { $ifNull: ["$pedido.nombre", "$producto.nombre"] },
+        },
+      },
+    },
+  ];
+
+  if (agrupacion === "COMUNA" || agrupacion === "REGION") {
+    pipeline.push(
+      {
+        $lookup: {
+          from: Cliente.collection.name,
+          localField: "cliente",
+          foreignField: "_id",
+          pipeline: [{ $project: { direccioncomuna: 1, direccionregion: 1 } }],
+          as: "clienteDireccion",
+        },
+      },
+      {
+        $set: { clienteDireccion: { $arrayElemAt: ["$clienteDireccion", 0] } },
+      }
+    );
+  }
+
+  pipeline.push(
+    {
+      $group: {
+        _id: clave,
+        pedidos: { $addToSet: "$_id" },
+        unidades: { $sum: "$linea.cantidad" },
+        ingresos: {
+          $sum: { $multiply: ["$linea.precio", "$linea.cantidad"] },
+        },
+        costo: { $sum: { $multiply: ["$linea.costo", "$linea.cantidad"] } },
+        nombre: { $first: "$linea.nombre" },
+      },
+    },
+    {
+      $project: {
+        pedidos: { $size: "$pedidos" },
+        unidades: 1,
+        ingresos: 1,
+        costo: 1,
+        margen: { $subtract: ["$ingresos", "$costo"] },
+        nombre: 1,
+      },
+    },
+    {
+      $sort: AGRUPACIONES_POR_FECHA.includes(agrupacion)
+        ? { _id: 1 }
+        : { ingresos: -1 },
+    }
+  );
+
+  const grupos = await Pedido.aggregate(pipeline);
+
+  // Nombres legibles para vendedores y proveedores
+  let nombres = new Map();
+  if (agrupacion === "VENDEDOR" || agrupacion === "PROVEEDOR") {
+    const Modelo = agrupacion === "VENDEDOR" ? Usuario : Proveedor;
+    const documentos = await Modelo.find(
+      { _id: { $in: grupos.map(({ _id }) => _id) } },
+      "nombre"
+    );
+    nombres = new Map(
+      documentos.map((doc) => [doc._id.toString(), doc.nombre])
+    );
+  }
+
+  return grupos.map(({ _id, nombre, ...totales }) => {
+    const clave = _id === null || _id === undefined ? "" : String(_id);
+    return {
+      clave,
+      etiqueta:
+        agrupacion === "PRODUCTO"
+          ? nombre || clave
+          : nombres.get(clave) || clave || "Sin información",
+      ...totales,
+      margenPorcentaje: totales.ingresos
+        ? Math.round((totales.margen / totales.ingresos) * 10000) / 100
+        : null,
+    };
+  });
+}
+
+module.exports = reporteVentas;
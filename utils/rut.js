@@ -0,0 +1,94 @@
+// RUT chileno: parseo, validación, formato y comparación. Se guarda siempre
+// con puntos y guion ("12.345.678-9"), así dos RUT iguales escritos de
+// distinta forma quedan idénticos en la base de datos.
+
+// { numero: "12345678", dv: "9" }, o null si no tiene forma de RUT
+function parsearRUT(valor) {
+  if (valor === undefined || valor === null) {
+    return null;
+  }
+  const limpio = String(valor)
+    .replace(/[.\s-]/g, "")
+    .toUpperCase();
+  const partes = /^(\d{1,9})([\dK])$/.exec(limpio);
+  if (!partes) {
+    return null;
+  }
+  return { numero: partes[1].replace(/^0+(?=\d)/, ""), dv: partes[2] };
+}
+
+// Dígito verificador por módulo 11
+function calcularDV(numero) {
+  let suma = 0;
+  let multiplicador = 2;
+  for (let i = numero.length - 1; i >= 0; i--) {
+    suma += Number(numero[i]) * multiplicador;
+    multiplicador = multiplicador === 7 ? 2 : multiplicador + 1;
+  }
+  const resto = 11 - (suma % 11);
+  return resto === 11 ? "0" : resto === 10 ? "K" : String(resto);
+}
+
+function validarRUT(valor) {
+  const rut = parsearRUT(valor);
+  return Boolean(rut) && calcularDV(rut.numero) === rut.dv;
+}
+
+// "123456789" -> "12.345.678-9"; null si no tiene forma de RUT
+function formatearRUT(valor) {
+  const rut = parsearRUT(valor);
+  if (!rut) {
+    return null;
+  }
+  const numero = rut.numero.replace(/\B(?=(\d{3})+(?!\d))/g, ".");
+  return `${numero}-${rut.dv}`;
+}
+
+function mismoRUT(a, b) {
+  const rutA = parsearRUT(a);
+  const rutB = parsearRUT(b);
+  return (
+    Boolean(rutA && rutB) && rutA.numero === rutB.numero && rutA.dv === rutB.dv
+  );
+}
+
+// Plugin de Mongoose: valida el campo y lo guarda formateado, también en
+// updates (findOneAndUpdate, updateOne, updateMany)
+function pluginRUT(schema, { campo = "rut" } = {}) {
+  const normalizar = (valor) =>
+    valor === "" || valor === null ? undefined : formatearRUT(valor) || valor;
+
+  schema.path(campo).validate({
+    validator: (valor) => !valor || validarRUT(valor),
+    message: (props) => `${props.value} no es un RUT válido`,
+  });
+
+  schema.pre("validate", function (next) {
+    if (this.isModified(campo)) {
+      this.set(campo, normalizar(this.get(campo)));
+    }
+    next();
+  });
+
+  schema.pre(["findOneAndUpdate", "updateOne", "updateMany"], function () {
+    const update = this.getUpdate() || {};
+    for (const destino of [update, update.$set]) {
+      if (!destino || !(campo in destino)) continue;
+      const valor = normalizar(destino[campo]);
+      if (valor && !validarRUT(valor)) {
+        throw new Error(`${destino[campo]} no es un RUT válido`);
+      }
+      destino[campo] = valor;
+    }
+    this.setUpdate(update);
+  });
+}
+
+module.exports = {
+  parsearRUT,
+  calcularDV,
+  validarRUT,
+  formatearRUT,
+  mismoRUT,
+  pluginRUT,
+};
@@ -0,0 +1,163 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const Sesion = require("../models/Sesion");
+const Usuario = require("../models/Usuario");
+
+const DURACION_TOKEN = process.env.TOKEN_EXPIRA || "1h";
+const DIAS_REFRESH_TOKEN = Number(process.env.REFRESH_TOKEN_DIAS) || 30;
+const DURACION_TOKEN_REGISTRO = process.env.REGISTRO_TOKEN_EXPIRA || "30m";
+const AUDIENCIA_REGISTRO = "documentos-registro";
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// El token de acceso lleva la versión de credenciales del usuario: al
+// cambiar su rol o password la versión sube y los tokens viejos dejan de
+// servir
+const crearTokenAcceso = (usuario) =>
+  jwt.sign(
+    {
+      id: usuario._id.toString(),
+      role: usuario.role,
+      version: usuario.tokenVersion || 0,
+    },
+    process.env.SECRETA,
+    { expiresIn: DURACION_TOKEN }
+  );
+
+// Verifica el token de acceso contra el estado actual del usuario y
+// devuelve { id, role, estado }, o null si no es válido
+async function verificarTokenAcceso(token) {
+  const payload = jwt.verify(token, process.env.SECRETA);
+
+  const usuario = await Usuario.findById(payload.id).select(
+    "role tokenVersion estado"
+  );
+  if (!usuario || (usuario.tokenVersion || 0) !== (payload.version || 0)) {
+    return null;
+  }
+
+  return {
+    id: usuario._id.toString(),
+    role: usuario.role,
+    estado: usuario.estado,
+  };
+}
+
+// Token de corta duración para subir los carnets durante el registro,
+// cuando la cuenta aún no puede iniciar sesión. No lleva "id", así que no
+// sirve como token de acceso.
+const crearTokenRegistro = (usuario) =>
+  jwt.sign({ registro: usuario._id.toString() }, process.env.SECRETA, {
+    audience: AUDIENCIA_REGISTRO,
+    expiresIn: DURACION_TOKEN_REGISTRO,
+  });
+
+// Devuelve el id del usuario del token de registro, o null si no es válido
+function verificarTokenRegistro(token) {
+  try {
+    const payload = jwt.verify(token, process.env.SECRETA, {
+      audience: AUDIENCIA_REGISTRO,
+    });
+    return payload.registro || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Crea una sesión nueva y devuelve el par de tokens
+async function iniciarSesion(usuario) {
+  const refreshToken = crypto.randomBytes(48).toString("base64url");
+
+  const sesion = await Sesion.create({
+    usuario: usuario._id,
+    tokenHash: hashToken(refreshToken),
+    expira: new Date(Date.now() + DIAS_REFRESH_TOKEN * 24 * 60 * 60 * 1000),
+  });
+
+  return {
+    sesion,
+    token: crearTokenAcceso(usuario),
+    refreshToken,
+  };
+}
+
+// Cambia un refresh token por un par nuevo (rotación). Si llega un token
+// ya usado, alguien más lo tiene: se cierran todas las sesiones del usuario.
+async function refrescarSesion(refreshToken) {
+  const sesion = await Sesion.findOne({ tokenHash: hashToken(refreshToken) });
+  if (!sesion) {
+    throw new Error("Sesión no válida");
+  }
+
+  if (sesion.revocada) {
+    await cerrarTodasLasSesiones(sesion.usuario);
+    throw new Error("Sesión no válida");
+  }
+
+  if (sesion.expira < new Date()) {
+    throw new Error("La sesión expiró, vuelve a iniciar sesión");
+  }
+
+  const usuario = await Usuario.findById(sesion.usuario);
+  if (!usuario || usuario.estado !== "aprobado") {
+    throw new Error("Sesión no válida");
+  }
+
+  // Marcar la sesión como usada solo si nadie más la usó entre medio
+  const usada = await Sesion.findOneAndUpdate(
+    { _id: sesion._id, revocada: null },
+    { $set: { revocada: new Date() } }
+  );
+  if (!usada) {
+    await cerrarTodasLasSesiones(sesion.usuario);
+    throw new Error("Sesión no válida");
+  }
+
+  const nueva = await iniciarSesion(usuario);
+  await Sesion.updateOne(
+    { _id: sesion._id },
+    { $set: { reemplazadaPor: nueva.sesion._id } }
+  );
+
+  return { token: nueva.token, refreshToken: nueva.refreshToken };
+}
+
+async function cerrarSesion(refreshToken) {
+  const { modifiedCount } = await Sesion.updateOne(
+    { tokenHash: hashToken(refreshToken), revocada: null },
+    { $set: { revocada: new Date() } }
+  );
+  return modifiedCount > 0;
+}
+
+// Revoca todas las sesiones e invalida los tokens de acceso ya emitidos
+async function cerrarTodasLasSesiones(usuarioId) {
+  await Sesion.updateMany(
+    { usuario: usuarioId, revocada: null },
+    { $set: { revocada: new Date() } }
+  );
+  await invalidarTokensAcceso(usuarioId);
+}
+
+// Sube la versión de credenciales: los tokens de acceso emitidos antes
+// dejan de ser aceptados
+async function invalidarTokensAcceso(usuarioId, { session } = {}) {
+  await Usuario.updateOne(
+    { _id: usuarioId },
+    { $inc: { tokenVersion: 1 } },
+    { session }
+  );
+}
+
+module.exports = {
+  crearTokenAcceso,
+  verificarTokenAcceso,
+  crearTokenRegistro,
+  verificarTokenRegistro,
+  iniciarSesion,
+  refrescarSesion,
+  cerrarSesion,
+  cerrarTodasLasSesiones,
+  invalidarTokensAcceso,
+};
@@ -0,0 +1,225 @@
+// Catálogo de regiones, provincias y comunas de Chile (data/regiones.json)
+// y validación de direcciones contra él. Las direcciones se guardan con los
+// nombres oficiales del catálogo para que los reportes por región y comuna
+// agrupen bien.
+const REGIONES = require("../data/regiones.json");
+const { normalizarTexto } = require("./texto");
+
+const COMUNAS = REGIONES.flatMap((region) =>
+  region.provincias.flatMap((provincia) =>
+    provincia.comunas.map((nombre) => ({
+      nombre,
+      provincia: provincia.nombre,
+      region: region.nombre,
+      codigoRegion: region.codigo,
+    }))
+  )
+);
+
+// Texto comparable: sin tildes, puntuación ni prefijos como "Región de"
+const clave = (texto) =>
+  normalizarTexto(texto)
+    .replace(/[^a-z0-9 ]/g, " ")
+    .replace(/^(region|provincia|comuna)( del?)? /, "")
+    .replace(/ region$/, "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// Formas habituales de escribir una región además de su nombre: código,
+// número romano y nombres cortos
+const ALIAS_REGIONES = new Map();
+const NOMBRES_CORTOS = {
+  AP: ["Arica"],
+  RM: ["Metropolitana", "Santiago", "Región Metropolitana"],
+  LI: ["O'Higgins", "Bernardo O'Higgins", "Libertador"],
+  AR: ["Araucanía"],
+  AI: ["Aysén", "Aisén"],
+  MA: ["Magallanes"],
+};
+for (const region of REGIONES) {
+  const alias = [
+    region.codigo,
+    region.numero,
+    region.nombre,
+    ...(NOMBRES_CORTOS[region.codigo] || []),
+  ];
+  for (const valor of alias) {
+    ALIAS_REGIONES.set(clave(valor), region);
+  }
+}
+
+const COMUNAS_POR_CLAVE = new Map(COMUNAS.map((c) => [clave(c.nombre), c]));
+// Nombres antiguos o abreviados que aparecen en direcciones
+COMUNAS_POR_CLAVE.set("aisen", COMUNAS_POR_CLAVE.get("aysen"));
+COMUNAS_POR_CLAVE.set("puerto aysen", COMUNAS_POR_CLAVE.get("aysen"));
+COMUNAS_POR_CLAVE.set("puerto natales", COMUNAS_POR_CLAVE.get("natales"));
+COMUNAS_POR_CLAVE.set("til til", COMUNAS_POR_CLAVE.get("tiltil"));
+COMUNAS_POR_CLAVE.set("llay llay", COMUNAS_POR_CLAVE.get("llaillay"));
+COMUNAS_POR_CLAVE.set("calera", COMUNAS_POR_CLAVE.get("la calera"));
+COMUNAS_POR_CLAVE.set("coihaique", COMUNAS_POR_CLAVE.get("coyhaique"));
+COMUNAS_POR_CLAVE.set("chol chol", COMUNAS_POR_CLAVE.get("cholchol"));
+COMUNAS_POR_CLAVE.set(
+  "san jose de la mariquina",
+  COMUNAS_POR_CLAVE.get("mariquina")
+);
+
+function distancia(a, b) {
+  const fila = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = fila[0];
+    fila[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const arriba = fila[j];
+      fila[j] = Math.min(
+        fila[j] + 1,
+        fila[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = arriba;
+    }
+  }
+  return fila[b.length];
+}
+
+// Busca por clave exacta y si no, por el candidato más parecido (hasta un
+// error cada 5 letras). Si dos candidatos empatan no se adivina
+function buscarAproximado(texto, indice) {
+  const buscada = clave(texto);
+  if (!buscada) {
+    return null;
+  }
+  if (indice.has(buscada)) {
+    return indice.get(buscada);
+  }
+
+  const tolerancia = Math.max(1, Math.floor(buscada.length / 5));
+  let mejor = null;
+  let mejorDistancia = Infinity;
+  let empate = false;
+  for (const [candidata, valor] of indice) {
+    const d = distancia(buscada, candidata);
+    if (d < mejorDistancia) {
+      mejor = valor;
+      mejorDistancia = d;
+      empate = false;
+    } else if (d === mejorDistancia && valor !== mejor) {
+      empate = true;
+    }
+  }
+  return mejorDistancia <= tolerancia && !empate ? mejor : null;
+}
+
+const buscarRegion = (texto) => buscarAproximado(texto, ALIAS_REGIONES);
+const buscarComuna = (texto) => buscarAproximado(texto, COMUNAS_POR_CLAVE);
+
+// Comunas de una región (por código o nombre), o todas
+function obtenerComunas(region) {
+  if (!region) {
+    return COMUNAS;
+  }
+  const encontrada = buscarRegion(region);
+  return encontrada
+    ? COMUNAS.filter((c) => c.codigoRegion === encontrada.codigo)
+    : [];
+}
+
+// Resuelve comuna, provincia y región contra el catálogo. La provincia se
+// deduce de la comuna; si se indica una región, debe ser la de la comuna.
+// Devuelve los nombres oficiales o lanza un error
+function resolverDireccion({ comuna, region }) {
+  const regionEncontrada = region ? buscarRegion(region) : null;
+  if (region && !regionEncontrada) {
+    throw new Error(`La región ${region} no existe`);
+  }
+  if (!comuna) {
+    return {
+      region: regionEncontrada?.nombre,
+    };
+  }
+
+  const comunaEncontrada = buscarComuna(comuna);
+  if (!comunaEncontrada) {
+    throw new Error(`La comuna ${comuna} no existe`);
+  }
+  if (regionEncontrada && regionEncontrada.nombre !== comunaEncontrada.region) {
+    throw new Error(
+      `La comuna ${comunaEncontrada.nombre} no pertenece a la región ${regionEncontrada.nombre}`
+    );
+  }
+  return {
+    comuna: comunaEncontrada.nombre,
+    provincia: comunaEncontrada.provincia,
+    region: comunaEncontrada.region,
+  };
+}
+
+const CAMPOS_DIRECCION = [
+  "direccioncomuna",
+  "direccionprovincia",
+  "direccionregion",
+];
+
+// Plugin de Mongoose para direccioncomuna/provincia/region: deja los nombres
+// del catálogo y rechaza comunas que no son de la región indicada
+function pluginDireccion(schema) {
+  const resolver = (datos) => {
+    const { comuna, provincia, region } = resolverDireccion({
+      comuna: datos.direccioncomuna,
+      region: datos.direccionregion,
+    });
+    return {
+      direccioncomuna: comuna,
+      direccionprovincia: provincia || datos.direccionprovincia,
+      direccionregion: region,
+    };
+  };
+
+  schema.pre("validate", function (next) {
+    if (!CAMPOS_DIRECCION.some((campo) => this.isModified(campo))) {
+      return next();
+    }
+    try {
+      const direccion = resolver(this);
+      for (const campo of CAMPOS_DIRECCION) {
+        if (direccion[campo]) this.set(campo, direccion[campo]);
+      }
+      next();
+    } catch (error) {
+      this.invalidate("direccioncomuna", error.message);
+      next();
+    }
+  });
+
+  // En updates parciales se valida contra el documento actual
+  schema.pre(["findOneAndUpdate", "updateOne"], async function () {
+    const update = this.getUpdate() || {};
+    const cambios = { ...update, ...update.$set };
+    if (!CAMPOS_DIRECCION.some((campo) => cambios[campo])) {
+      return;
+    }
+
+    const actual = (await this.model.findOne(this.getFilter()).lean()) || {};
+    const direccion = resolver({
+      direccioncomuna: cambios.direccioncomuna ?? actual.direccioncomuna,
+      direccionprovincia: cambios.direccionprovincia,
+      direccionregion: cambios.direccionregion ?? actual.direccionregion,
+    });
+
+    const $set = { ...update.$set };
+    for (const campo of CAMPOS_DIRECCION) {
+      delete update[campo];
+      if (direccion[campo]) $set[campo] = direccion[campo];
+    }
+    this.setUpdate({ ...update, $set });
+  });
+}
+
+module.exports = {
+  REGIONES,
+  COMUNAS,
+  buscarRegion,
+  buscarComuna,
+  obtenerComunas,
+  resolverDireccion,
+  pluginDireccion,
+};
@@ -0,0 +1,16 @@
+// Texto comparable sin importar mayúsculas ni tildes: "Café Ñandú" -> "cafe nandu"
+const normalizarTexto = (texto) =>
+  String(texto || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+
+const escaparRegex = (texto) => texto.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Collation de MongoDB para comparar sin distinguir mayúsculas, por ejemplo
+// emails guardados antes de normalizarlos
+const COLACION_SIN_MAYUSCULAS = { locale: "es", strength: 2 };
+
+module.exports = { normalizarTexto, escaparRegex, COLACION_SIN_MAYUSCULAS };
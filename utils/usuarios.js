@@ -0,0 +1,50 @@
+// Campos de Usuario que cualquier usuario autenticado puede ver
+const CAMPOS_PUBLICOS = ["nombre", "email", "telefono", "role", "creado"];
+
+// Solo visibles para el dueño de la cuenta y los administradores
+const CAMPOS_PRIVADOS = [
+  "rut",
+  "ndocumento",
+  "direccioncalle",
+  "direccionnumero",
+  "direcciondepto",
+  "direccioncomuna",
+  "direccionregion",
+  "direccionprovincia",
+  "cuentabanconumero",
+  "cuentabanconombre",
+  "cuentabancotipocuenta",
+  "carnetfrente",
+  "carnetreverso",
+  "comisionHistory",
+  "motivoEstado",
+];
+
+// Proyecciones para populate/select: la pública no trae datos privados y
+// ninguna trae credenciales
+const PROYECCION_PUBLICA = CAMPOS_PUBLICOS.join(" ");
+const PROYECCION_PRIVADA =
+  "-password -tokenVersion -resetPasswordHash -resetPasswordExpira -intentosFallidos -bloqueadoHasta";
+
+const esAdministrador = (ctx) => ctx.usuario?.role === "administrador";
+
+function puedeVerPrivado(usuario, ctx) {
+  if (!ctx.usuario) {
+    return false;
+  }
+  const usuarioId = String(usuario._id || usuario.id);
+  return esAdministrador(ctx) || usuarioId === ctx.usuario.id;
+}
+
+// Proyección para usuarios anidados (vendedor de un pedido o cliente)
+const proyeccionUsuario = (ctx) =>
+  esAdministrador(ctx) ? PROYECCION_PRIVADA : PROYECCION_PUBLICA;
+
+module.exports = {
+  CAMPOS_PUBLICOS,
+  CAMPOS_PRIVADOS,
+  PROYECCION_PUBLICA,
+  PROYECCION_PRIVADA,
+  puedeVerPrivado,
+  proyeccionUsuario,
+};